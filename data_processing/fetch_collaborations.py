@@ -0,0 +1,125 @@
+"""
+Fetch the country-pair co-authorship matrix for AI papers from OpenAlex.
+
+Run from the data_processing folder:
+  pip install requests tqdm
+  python fetch_collaborations.py
+
+For each of the top countries and each year, AI papers with an author
+affiliated in that country are grouped by institutions.country_code; the
+count for every other country is the number of papers co-authored between
+the two. Takes ~10 minutes for 40 countries x 16 years.
+
+Writes nextjs_app/public/ai_papers_collaboration_year.json:
+  [{"year": 2021, "source": "CN", "target": "US", "papers": 1234}, ...]
+Each pair appears once per year with source < target.
+"""
+
+import json
+import time
+import requests
+from tqdm import tqdm
+
+BASE = "https://api.openalex.org"
+MAILTO = "zz4330@nyu.edu"  # Change to your email
+
+# Same definition of "AI papers" as openalex_processor.py
+AI_CONCEPT_IDS = [
+    "C154945302",  # Artificial intelligence
+    "C119857082",  # Machine learning
+    "C112194779",  # Deep learning
+]
+
+START_YEAR = 2010
+END_YEAR = 2025
+TOP_COUNTRIES = 40
+
+SUMMARY_PATH = "../nextjs_app/public/ai_papers_country_summary.json"
+OUTPUT_PATH = "../nextjs_app/public/ai_papers_collaboration_year.json"
+
+SESSION = requests.Session()
+
+
+def openalex_get(endpoint, params, max_retries=5):
+    """GET with simple retries/backoff."""
+    url = f"{BASE}/{endpoint}"
+    params = dict(params)
+    params["mailto"] = MAILTO
+
+    for i in range(max_retries):
+        r = SESSION.get(url, params=params, timeout=60)
+        if r.status_code == 200:
+            return r.json()
+        time.sleep((2 ** i) + 0.1)
+
+    r.raise_for_status()
+
+
+def extract_country_code(cc):
+    """Extract ISO alpha-2 code from OpenAlex country URL or return as-is."""
+    if cc is None:
+        return None
+    return cc.replace("https://openalex.org/countries/", "")
+
+
+def fetch_partner_counts(country_code, year):
+    """Return {partner code: co-authored papers} for one country and year."""
+    filt = (
+        f"concept.id:{'|'.join(AI_CONCEPT_IDS)},"
+        f"institutions.country_code:{country_code},"
+        f"publication_year:{year}"
+    )
+    data = openalex_get(
+        "works",
+        params={
+            "filter": filt,
+            "group-by": "institutions.country_code",
+            "per-page": 200,
+        },
+    )
+
+    partners = {}
+    for g in data.get("group_by", []):
+        cc = extract_country_code(g.get("key"))
+        # The group for the country itself counts all of its papers
+        if cc and cc != country_code:
+            partners[cc] = g.get("count", 0)
+    return partners
+
+
+def main():
+    try:
+        with open(SUMMARY_PATH, "r") as f:
+            summary = json.load(f)
+    except FileNotFoundError:
+        print("Error: Run openalex_processor.py first to generate country list")
+        return
+
+    countries = [c["country_code"] for c in summary[:TOP_COUNTRIES]]
+    print(f"Fetching partners for {len(countries)} countries, {START_YEAR}-{END_YEAR}")
+
+    # (year, a, b) with a < b -> papers. Both countries of a pair report
+    # the same papers; keep the larger count in case one side is truncated
+    # by the 200-group page limit.
+    pairs = {}
+    for year in tqdm(range(START_YEAR, END_YEAR + 1), desc="Years"):
+        for cc in countries:
+            for partner, count in fetch_partner_counts(cc, year).items():
+                key = (year, *sorted((cc, partner)))
+                pairs[key] = max(pairs.get(key, 0), count)
+            time.sleep(0.2)
+
+    records = [
+        {"year": year, "source": a, "target": b, "papers": papers}
+        for (year, a, b), papers in sorted(pairs.items())
+        if papers > 0
+    ]
+
+    with open(OUTPUT_PATH, "w") as f:
+        json.dump(records, f)
+
+    print(f"Saved {OUTPUT_PATH} ({len(records)} country pairs x years)")
+
+
+if __name__ == "__main__":
+    main()
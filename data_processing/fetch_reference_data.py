@@ -0,0 +1,124 @@
+"""
+Fetch population and GDP reference tables from the World Bank API
+for the choropleth's per-capita and per-GDP modes, and each country's
+region and income group for the countries API.
+
+Run from the data_processing folder:
+  pip install requests pycountry
+  python fetch_reference_data.py
+
+Writes nextjs_app/public/population.json, gdp.json and country_meta.json,
+all joined to the paper data on ISO alpha-2 `country_code`.
+"""
+
+import json
+import os
+import requests
+import pycountry
+
+BASE = "https://api.worldbank.org/v2"
+REFERENCE_YEAR = 2022
+OUTPUT_DIR = "../nextjs_app/public"
+
+INDICATORS = {
+    # output file: (World Bank indicator, field name)
+    "population.json": ("SP.POP.TOTL", "population"),
+    "gdp.json": ("NY.GDP.MKTP.CD", "gdp_usd"),
+}
+
+# Codes the World Bank uses that pycountry does not know
+EXTRA_CODES = {"XK"}  # Kosovo
+
+# Territories in the paper data that the World Bank does not list,
+# with the World Bank region they belong to (income group unknown)
+EXTRA_REGIONS = {
+    "TW": "East Asia & Pacific",
+    "NU": "East Asia & Pacific",
+    "JE": "Europe & Central Asia",
+    "SJ": "Europe & Central Asia",
+    "AX": "Europe & Central Asia",
+    "VA": "Europe & Central Asia",
+    "MS": "Latin America & Caribbean",
+    "GP": "Latin America & Caribbean",
+    "MQ": "Latin America & Caribbean",
+    "GF": "Latin America & Caribbean",
+    "FK": "Latin America & Caribbean",
+    "RE": "Sub-Saharan Africa",
+}
+
+
+def is_country(code):
+    """Filter out World Bank regional and income-group aggregates."""
+    if code in EXTRA_CODES:
+        return True
+    return pycountry.countries.get(alpha_2=code) is not None
+
+
+def fetch_indicator(indicator, year=REFERENCE_YEAR):
+    """Return {alpha-2 code: value} for one indicator and year."""
+    r = requests.get(
+        f"{BASE}/country/all/indicator/{indicator}",
+        params={"date": year, "format": "json", "per_page": 400},
+        timeout=60,
+    )
+    r.raise_for_status()
+    _, rows = r.json()
+
+    values = {}
+    for row in rows:
+        code = row["country"]["id"]
+        if row["value"] is None or not is_country(code):
+            continue
+        values[code] = row["value"]
+    return values
+
+
+def fetch_country_meta():
+    """Return {alpha-2 code: (region, income group)} for every country."""
+    r = requests.get(
+        f"{BASE}/country",
+        params={"format": "json", "per_page": 400},
+        timeout=60,
+    )
+    r.raise_for_status()
+    _, rows = r.json()
+
+    meta = {}
+    for row in rows:
+        code = row["iso2Code"]
+        # Aggregates have region "Aggregates"
+        if row["region"]["value"] == "Aggregates" or not is_country(code):
+            continue
+        income = row["incomeLevel"]["value"]
+        meta[code] = (row["region"]["value"].strip(), None if income == "Not classified" else income)
+
+    for code, region in EXTRA_REGIONS.items():
+        meta.setdefault(code, (region, None))
+    return meta
+
+
+def main():
+    os.makedirs(OUTPUT_DIR, exist_ok=True)
+
+    for filename, (indicator, field) in INDICATORS.items():
+        values = fetch_indicator(indicator)
+        records = [
+            {"country_code": code, "year": REFERENCE_YEAR, field: int(round(value))}
+            for code, value in sorted(values.items())
+        ]
+        with open(f"{OUTPUT_DIR}/{filename}", "w") as f:
+            json.dump(records, f)
+        print(f"Saved {OUTPUT_DIR}/{filename} ({len(records)} countries)")
+
+    meta = fetch_country_meta()
+    records = [
+        {"country_code": code, "region": region, "income_group": income}
+        for code, (region, income) in sorted(meta.items())
+    ]
+    with open(f"{OUTPUT_DIR}/country_meta.json", "w") as f:
+        json.dump(records, f)
+    print(f"Saved {OUTPUT_DIR}/country_meta.json ({len(records)} countries)")
+
+
+if __name__ == "__main__":
+    main()
@@ -3,7 +3,8 @@ Quick script to fetch ONLY the node-link subfield data from OpenAlex.
 Run from the data_processing folder:
   python fetch_subfields_only.py
 
-This adds subfields to the existing node_link_by_country.json
+This adds subfields to the existing node_link_by_country.json, with
+per-year counts (`years`) so the dashboard can size nodes by period.
 Takes ~15-20 minutes for 50 countries.
 """
 
@@ -63,6 +64,9 @@ MAIN_FIELDS = {
     },
 }
 
+START_YEAR = 2010
+END_YEAR = 2025
+
 SESSION = requests.Session()
 
 def openalex_get(endpoint, params, max_retries=3):
@@ -83,13 +87,32 @@ def openalex_get(endpoint, params, max_retries=3):
         except Exception as e:
             print(f"Error: {e}")
             time.sleep(2)
-    return {}
+    return None
+
+def count_papers_by_year(country_code, concept_id):
+    """
+    Count papers for a concept in a country per year.
+
+    Returns {"2010": n, ...} with every year in the range, or None if the
+    request failed so the count shows as missing rather than zero.
+    """
+    filt = (
+        f"concept.id:{concept_id},"
+        f"institutions.country_code:{country_code},"
+        f"publication_year:{START_YEAR}-{END_YEAR}"
+    )
+    data = openalex_get("works", params={"filter": filt, "group-by": "publication_year", "per-page": 200})
+    if data is None:
+        return None
+    years = {str(y): 0 for y in range(START_YEAR, END_YEAR + 1)}
+    for g in data.get("group_by", []):
+        key = str(g.get("key"))
+        if key in years:
+            years[key] = g.get("count", 0)
+    return years
 
-def count_papers(country_code, concept_id):
-    """Count papers for a concept in a country."""
-    filt = f"concept.id:{concept_id},institutions.country_code:{country_code}"
-    data = openalex_get("works", params={"filter": filt, "per-page": 1})
-    return data.get("meta", {}).get("count", 0)
+def total(years):
+    return sum(years.values()) if years is not None else None
 
 def main():
     # Load existing summary to get country list
@@ -113,22 +136,24 @@ def main():
         
         for field_name, field_data in MAIN_FIELDS.items():
             # Main field
-            main_count = count_papers(cc, field_data["id"])
+            main_years = count_papers_by_year(cc, field_data["id"])
             nodes.append({
                 "id": field_name,
                 "type": "main",
-                "count": main_count
+                "count": total(main_years),
+                "years": main_years
             })
             time.sleep(0.2)
             
             # Subfields
             for sub_name, sub_id in field_data["subfields"].items():
-                sub_count = count_papers(cc, sub_id)
+                sub_years = count_papers_by_year(cc, sub_id)
                 nodes.append({
                     "id": sub_name,
                     "type": "sub",
                     "parent": field_name,
-                    "count": sub_count,
+                    "count": total(sub_years),
+                    "years": sub_years,
                     "concept_id": sub_id
                 })
                 links.append({
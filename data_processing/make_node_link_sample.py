@@ -0,0 +1,79 @@
+"""
+Write a small node-link sample with per-year counts (`years`) for
+checking the dashboard's per-period node sizes without fetching from
+OpenAlex. Run from the data_processing folder:
+  python make_node_link_sample.py
+
+Main fields in ai_papers_country_year_subfield.csv get their measured
+per-year counts. Every other node's all-time count is split across years
+in proportion to its field's (or the country's) papers, so those numbers
+are illustrative only; fetch_subfields.py fetches the real ones.
+Load the output with "Load data…" together with ai_papers_country_year.csv.
+"""
+
+import csv
+import json
+import os
+
+COUNTRIES = ["US", "CN", "GB"]
+START_YEAR = 2010
+END_YEAR = 2025
+
+NODE_LINK_PATH = "../nextjs_app/public/node_link_by_country.json"
+OUTPUT_PATH = "samples/node_link_sample.json"
+
+
+def split_by_shape(count, shape):
+    """Split an all-time count across years in proportion to `shape`."""
+    total = sum(shape.values())
+    if not count or not total:
+        return None
+    return {year: round(count * papers / total) for year, papers in shape.items()}
+
+
+def main():
+    with open(NODE_LINK_PATH) as f:
+        graphs = json.load(f)
+    with open("ai_papers_country_year.csv") as f:
+        country_year = list(csv.DictReader(f))
+    with open("ai_papers_country_year_subfield.csv") as f:
+        subfield = list(csv.DictReader(f))
+
+    def per_year(rows):
+        years = {str(y): 0 for y in range(START_YEAR, END_YEAR + 1)}
+        for row in rows:
+            if row["year"] in years:
+                years[row["year"]] += int(float(row["papers"]))
+        return years
+
+    sample = {}
+    for cc in COUNTRIES:
+        country_shape = per_year(r for r in country_year if r["country_code"] == cc)
+        field_shapes = {}
+        nodes = []
+        for node in graphs[cc]["nodes"]:
+            node = dict(node)
+            if node["type"] == "main":
+                rows = [r for r in subfield if r["country_code"] == cc and r["subfield"] == node["id"]]
+                if rows:
+                    node["years"] = per_year(rows)
+                    node["count"] = sum(node["years"].values())
+                    field_shapes[node["id"]] = node["years"]
+                else:
+                    node["years"] = split_by_shape(node["count"], country_shape)
+            else:
+                shape = field_shapes.get(node["parent"], country_shape)
+                node["years"] = split_by_shape(node["count"], shape)
+            if node["years"] is None:
+                node["count"] = None
+            nodes.append(node)
+        sample[cc] = {"nodes": nodes, "links": graphs[cc]["links"]}
+
+    os.makedirs(os.path.dirname(OUTPUT_PATH), exist_ok=True)
+    with open(OUTPUT_PATH, "w") as f:
+        json.dump(sample, f, indent=2)
+    print(f"Saved {OUTPUT_PATH} ({', '.join(COUNTRIES)})")
+
+
+if __name__ == "__main__":
+    main()
@@ -33,6 +33,9 @@ AI_CONCEPT_IDS = [
 
 START_YEAR = 2010
 END_YEAR = 2025
+# Years still being indexed; growth and slope use complete years only
+PARTIAL_YEARS = [2025]
+LAST_COMPLETE_YEAR = max(y for y in range(START_YEAR, END_YEAR + 1) if y not in PARTIAL_YEARS)
 
 # Optional coarse subfields (concept IDs)
 SUBFIELDS = {
@@ -168,6 +171,8 @@ def add_country_names(df):
 def compute_growth(df):
     """
     Compute total papers per country, growth ratio, and recent slope.
+    Growth and slope end at the last complete year, so a partial year
+    doesn't read as a collapse.
     """
     pivot = df.pivot_table(
         index="year", columns="country_code", values="papers", aggfunc="sum"
@@ -176,10 +181,10 @@ def compute_growth(df):
     totals = pivot.sum(axis=0).rename("total_papers")
 
     start = pivot.loc[START_YEAR]
-    end = pivot.loc[END_YEAR]
+    end = pivot.loc[LAST_COMPLETE_YEAR]
     growth_ratio = ((end + 1) / (start + 1)).rename("growth_ratio")
 
-    recent_years = list(range(END_YEAR - 4, END_YEAR + 1))
+    recent_years = list(range(LAST_COMPLETE_YEAR - 4, LAST_COMPLETE_YEAR + 1))
     recent = pivot.loc[recent_years]
     x = pd.Series(range(len(recent_years)), index=recent_years)
     slopes = {}
@@ -220,20 +225,43 @@ def fetch_child_concepts(parent_cid, top_n=8):
     return results[:top_n]
 
 
-def count_country_concept(country_code, concept_id, year_from=START_YEAR, year_to=END_YEAR):
-    """Count AI papers for (country, concept) over a year range."""
+def count_country_concept_by_year(country_code, concept_id, year_from=START_YEAR, year_to=END_YEAR):
+    """
+    Count AI papers for (country, concept) per year.
+
+    Returns {"2010": n, ...} with every year in the range (years OpenAlex
+    doesn't return had no papers), or None if the request failed, so the
+    web app can show the value as missing rather than zero.
+    """
     filt = (
         f"concept.id:{AI_BASE},"
         f"concept.id:{concept_id},"
         f"institutions.country_code:{country_code},"
         f"publication_year:{year_from}-{year_to}"
     )
-    data = openalex_get("works", params={"filter": filt, "per-page": 1})
-    return data.get("meta", {}).get("count", 0)
+    try:
+        data = openalex_get(
+            "works",
+            params={"filter": filt, "group-by": "publication_year", "per-page": 200},
+        )
+    except requests.RequestException as e:
+        print(f"  {country_code} {concept_id}: {e}")
+        return None
+
+    years = {str(y): 0 for y in range(year_from, year_to + 1)}
+    for g in data.get("group_by", []):
+        key = str(g.get("key"))
+        if key in years:
+            years[key] = g.get("count", 0)
+    return years
 
 
 def build_node_link_for_countries(countries, top_n_subfields=8, output_dir="../nextjs_app/public"):
-    """Build node-link JSON per country."""
+    """
+    Build node-link JSON per country. Each node has its all-time `count`
+    and per-year counts in `years`; both are null when the count couldn't
+    be fetched.
+    """
     import os
     os.makedirs(output_dir, exist_ok=True)
     
@@ -248,20 +276,28 @@ def build_node_link_for_countries(countries, top_n_subfields=8, output_dir="../n
         links = []
 
         for fname, fc in MAIN_FIELDS.items():
-            main_count = count_country_concept(cc, fc)
-            nodes.append({"id": fname, "type": "main", "count": main_count})
+            main_years = count_country_concept_by_year(cc, fc)
+            nodes.append(
+                {
+                    "id": fname,
+                    "type": "main",
+                    "count": sum(main_years.values()) if main_years else None,
+                    "years": main_years,
+                }
+            )
 
             for sub in field_to_subfields[fname]:
                 sid = sub["id"].replace("https://openalex.org/", "")
                 sname = sub["display_name"]
-                sub_count = count_country_concept(cc, sid)
+                sub_years = count_country_concept_by_year(cc, sid)
 
                 nodes.append(
                     {
                         "id": sname,
                         "type": "sub",
                         "parent": fname,
-                        "count": sub_count,
+                        "count": sum(sub_years.values()) if sub_years else None,
+                        "years": sub_years,
                         "concept_id": sid,
                     }
                 )
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { errorResponse, computeEtag, cacheHeaders, notModified } from '../../../../lib/apiResponse';
+import { loadCountryIndex } from '../../../../lib/dataStore';
+import { buildCountryDetail, buildCountryIndex, parseMetricsParams } from '../../../../lib/countries';
+import { QueryError } from '../../../../lib/dataQuery';
+
+/**
+ * One country: the listing record plus its full time series
+ * (timeSeries), subfield series (subfields) and field breakdown from the
+ * node-link data (fields). Takes the same from / to / subfield parameters
+ * as the listing.
+ */
+export async function GET(request, { params }) {
+  const code = params.code.toUpperCase();
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const loaded = await loadCountryIndex();
+    if (!loaded) {
+      return errorResponse(404, 'not_found', 'Country data not found');
+    }
+
+    const { span, subfield } = parseMetricsParams(searchParams, loaded.sources.subfield);
+    const custom = searchParams.has('from') || searchParams.has('to') || subfield;
+    const index = custom ? buildCountryIndex(loaded.sources, { span, subfield }) : loaded.index;
+
+    const record = index.find((c) => c.code === code);
+    if (!record) {
+      return errorResponse(404, 'not_found', `Unknown country: ${code}`);
+    }
+
+    const etag = computeEtag(`${code}?${searchParams.toString()}`, loaded.version);
+    const cached = notModified(request, etag);
+    if (cached) return cached;
+
+    return NextResponse.json(
+      { data: buildCountryDetail(record, loaded.sources) },
+      { headers: cacheHeaders(etag) }
+    );
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return errorResponse(error.status, error.code, error.message, error.details);
+    }
+    console.error('API Error:', error);
+    return errorResponse(500, 'internal_error', 'Failed to load country', { reason: error.message });
+  }
+}
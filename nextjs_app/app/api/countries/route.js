@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { errorResponse, computeEtag, cacheHeaders, notModified } from '../../../lib/apiResponse';
+import { loadCountryIndex } from '../../../lib/dataStore';
+import { matchesPrefix, buildCountryIndex, parseMetricsParams } from '../../../lib/countries';
+import {
+  QueryError,
+  parseSort,
+  parsePagination,
+  compareBy,
+  paginate,
+} from '../../../lib/dataQuery';
+
+/**
+ * List countries with metadata
+ *
+ * Query parameters:
+ * - q: prefix of the code, the name or any word of the name
+ * - region: World Bank region, e.g. "South Asia" (case-insensitive)
+ * - income: World Bank income group, e.g. "High income" (case-insensitive)
+ * - from, to: years the figures cover (default the whole dataset)
+ * - subfield: count only this subfield's papers
+ * - sort: comma-separated fields, `-` for descending (default -totalPapers)
+ * - page, pageSize: 1-based pagination
+ *
+ * Each country: code, name, region, incomeGroup, totalPapers, share, rank,
+ * rankChange, growthRatio, cagr, slope, volatility, firstYear, lastYear,
+ * peakYear, peakPapers, topSubfield. Growth, slope and volatility leave
+ * out partial years.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const q = searchParams.get('q') || '';
+    const region = searchParams.get('region');
+    const income = searchParams.get('income');
+    const parsedSort = parseSort(searchParams);
+    const sort = parsedSort.length ? parsedSort : [{ field: 'totalPapers', descending: true }];
+    const pagination = parsePagination(searchParams);
+
+    const loaded = await loadCountryIndex();
+    if (!loaded) {
+      return errorResponse(404, 'not_found', 'Country data not found');
+    }
+
+    // Validate everything before the ETag check, so an invalid query gets
+    // its 400 whatever If-None-Match says. Every index has the same fields.
+    const { span, subfield } = parseMetricsParams(searchParams, loaded.sources.subfield);
+    const fields = Object.keys(loaded.index[0] || {});
+    sort.forEach(({ field }) => {
+      if (!fields.includes(field)) {
+        throw new QueryError(`Cannot sort by ${field}`, { details: { validFields: fields } });
+      }
+    });
+
+    const etag = computeEtag(searchParams.toString(), loaded.version);
+    const cached = notModified(request, etag);
+    if (cached) return cached;
+
+    // The cached index covers the whole dataset; other spans and
+    // subfields are computed per request
+    const custom = searchParams.has('from') || searchParams.has('to') || subfield;
+    const index = custom ? buildCountryIndex(loaded.sources, { span, subfield }) : loaded.index;
+
+    const sameText = (a, b) => (a || '').toLowerCase() === b.trim().toLowerCase();
+    const matches = index
+      .filter((c) => matchesPrefix(c, q))
+      .filter((c) => !region || sameText(c.region, region))
+      .filter((c) => !income || sameText(c.incomeGroup, income))
+      .sort(compareBy(sort));
+
+    const { rows, ...meta } = paginate(matches, pagination);
+    const filters = {};
+    if (q) filters.q = q;
+    if (region) filters.region = region;
+    if (income) filters.income = income;
+    if (custom) {
+      filters.from = span[0];
+      filters.to = span[1];
+    }
+    if (subfield) filters.subfield = subfield;
+
+    return NextResponse.json(
+      { data: rows, meta: { filters, ...meta } },
+      { headers: cacheHeaders(etag) }
+    );
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return errorResponse(error.status, error.code, error.message, error.details);
+    }
+    console.error('API Error:', error);
+    return errorResponse(500, 'internal_error', 'Failed to load countries', { reason: error.message });
+  }
+}
@@ -1,119 +1,86 @@
 import { NextResponse } from 'next/server';
-import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { errorResponse, computeEtag, cacheHeaders, notModified } from '../../../lib/apiResponse';
+import { DATA_FILES, loadDataset } from '../../../lib/dataStore';
+import {
+  DATASETS,
+  QueryError,
+  parseQuery,
+  canonicalQuery,
+  describeFilters,
+  validateForDataset,
+  filterDataset,
+  shapeRows,
+} from '../../../lib/dataQuery';
 
 /**
- * API Route to serve visualization data
- * 
- * Query parameters:
- * - type: 'country-year' | 'summary' | 'subfield' | 'nodelink' | 'all'
- * - country: (optional) Filter by country code
- * - year: (optional) Filter by year
+ * Query API over the visualization data
+ *
+ * See lib/dataQuery.js for the parameters. Responses are
+ * { data, meta }; meta echoes the filters and, for row data, the
+ * total and pagination. type=all returns every dataset keyed by type
+ * and only applies the filters.
  */
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
-  const type = searchParams.get('type') || 'all';
-  const country = searchParams.get('country');
-  const year = searchParams.get('year');
-
-  const publicDir = join(process.cwd(), 'public');
-
-  // Data file paths
-  const files = {
-    'country-year': 'ai_papers_country_year.json',
-    'summary': 'ai_papers_country_summary.json',
-    'subfield': 'ai_papers_country_year_subfield.json',
-    'nodelink': 'node_link_by_country.json',
-  };
 
   try {
-    // Return all data
-    if (type === 'all') {
-      const result = {};
-      
-      for (const [key, filename] of Object.entries(files)) {
-        const filepath = join(publicDir, filename);
-        if (existsSync(filepath)) {
-          result[key] = JSON.parse(readFileSync(filepath, 'utf-8'));
-        }
-      }
-      
-      return NextResponse.json(result);
-    }
+    const query = parseQuery(searchParams);
+    const isAll = query.type === 'all';
+    const types = isAll ? Object.keys(DATASETS) : [query.type];
 
-    // Return specific data type
-    const filename = files[type];
-    if (!filename) {
-      return NextResponse.json(
-        { error: `Invalid type: ${type}. Valid types: ${Object.keys(files).join(', ')}, all` },
-        { status: 400 }
-      );
+    if (isAll && (query.groupBy || query.sort.length || query.top || query.topBy || query.page)) {
+      throw new QueryError('type=all only supports the countries, year and subfield filters');
     }
+    types.forEach((type) => validateForDataset(type, query, { strict: !isAll }));
 
-    const filepath = join(publicDir, filename);
-    if (!existsSync(filepath)) {
-      return NextResponse.json(
-        { error: `Data file not found: ${filename}` },
-        { status: 404 }
-      );
+    const datasets = await Promise.all(types.map(loadDataset));
+    if (!isAll && !datasets[0]) {
+      return errorResponse(404, 'not_found', `Data file not found: ${DATA_FILES[query.type]}`);
     }
 
-    let data = JSON.parse(readFileSync(filepath, 'utf-8'));
+    // The response depends only on the query and the file versions, so the
+    // ETag can be checked before doing any work
+    const etag = computeEtag(canonicalQuery(query), ...datasets.map((d) => d?.version || 'missing'));
+    const cached = notModified(request, etag);
+    if (cached) return cached;
 
-    // Apply filters for array data
-    if (Array.isArray(data)) {
-      if (country) {
-        data = data.filter((d) => d.country_code === country);
-      }
-      if (year) {
-        const yearNum = parseInt(year, 10);
-        data = data.filter((d) => d.year === yearNum);
-      }
-    }
+    const filters = describeFilters(query);
+    let body;
 
-    // For node-link data, filter by country
-    if (type === 'nodelink' && country && data[country]) {
-      data = { [country]: data[country] };
+    if (isAll) {
+      const data = {};
+      const totals = {};
+      types.forEach((type, i) => {
+        if (!datasets[i]) return; // optional files that haven't been generated
+        data[type] = filterDataset(type, datasets[i].data, query);
+        totals[type] = Array.isArray(data[type]) ? data[type].length : Object.keys(data[type]).length;
+      });
+      body = { data, meta: { type: 'all', filters, totals } };
+    } else if (DATASETS[query.type].keyed) {
+      const data = filterDataset(query.type, datasets[0].data, query);
+      body = { data, meta: { type: query.type, filters, total: Object.keys(data).length } };
+    } else {
+      const filtered = filterDataset(query.type, datasets[0].data, query);
+      const { rows, ...pagination } = shapeRows(query.type, filtered, query);
+      body = {
+        data: rows,
+        meta: {
+          type: query.type,
+          filters,
+          ...(query.groupBy && { groupBy: query.groupBy }),
+          ...(query.sort.length && { sort: searchParams.get('sort') }),
+          ...(query.top && { top: query.top, ...(query.topBy && { topBy: query.topBy }) }),
+          ...pagination,
+        },
+      };
     }
 
-    return NextResponse.json(data);
+    return NextResponse.json(body, { headers: cacheHeaders(etag) });
   } catch (error) {
-    console.error('API Error:', error);
-    return NextResponse.json(
-      { error: 'Failed to load data', details: error.message },
-      { status: 500 }
-    );
-  }
-}
-
-/**
- * Get list of available countries
- */
-export async function POST(request) {
-  const publicDir = join(process.cwd(), 'public');
-  const filepath = join(publicDir, 'ai_papers_country_summary.json');
-
-  try {
-    if (!existsSync(filepath)) {
-      return NextResponse.json({ error: 'Summary data not found' }, { status: 404 });
+    if (error instanceof QueryError) {
+      return errorResponse(error.status, error.code, error.message, error.details);
     }
-
-    const data = JSON.parse(readFileSync(filepath, 'utf-8'));
-    
-    // Extract unique countries with metadata
-    const countries = data.map((d) => ({
-      code: d.country_code,
-      name: d.country,
-      totalPapers: d.total_papers,
-      growthRatio: d.growth_ratio,
-    }));
-
-    return NextResponse.json({ countries });
-  } catch (error) {
     console.error('API Error:', error);
-    return NextResponse.json(
-      { error: 'Failed to load countries', details: error.message },
-      { status: 500 }
-    );
+    return errorResponse(500, 'internal_error', 'Failed to load data', { reason: error.message });
   }
-}
\ No newline at end of file
+}
@@ -1,29 +1,201 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
+import { Suspense, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
 import MapView from '../components/MapView';
 import TimeSeriesPanel from '../components/TimeSeriesPanel';
 import NodeLinkGraph from '../components/NodeLinkGraph';
 import Controls from '../components/Controls';
+import CollaborationChord from '../components/CollaborationChord';
+import SubfieldComposition from '../components/SubfieldComposition';
+import RankingBumpChart from '../components/RankingBumpChart';
+import DatasetUpload from '../components/DatasetUpload';
+import { getYearSpan, formatYearSpan, aggregateGroupRows } from '../lib/dataUtils';
+import { buildGroupIndex, groupCode } from '../lib/countryGroups';
+import { parseDashboardParams, serializeDashboardParams } from '../lib/urlState';
+import { computeMetrics } from '../lib/metrics';
+import { VIEW_MODE_CONFIG } from '../lib/viewModes';
+import { DEFAULT_CLASSIFICATION } from '../lib/classification';
+import {
+  THEMES,
+  PALETTES,
+  DEFAULT_THEME_ID,
+  DEFAULT_PALETTE_ID,
+  getTheme,
+  applyThemeVariables,
+  assignSeriesSlots,
+} from '../lib/theme';
 
+const THEME_STORAGE_KEY = 'viz-theme';
+
+// useSearchParams needs a Suspense boundary for the static prerender
 export default function Home() {
-  // Data state
-  const [countryYearData, setCountryYearData] = useState([]);
-  const [countrySummary, setCountrySummary] = useState([]);
-  const [subfieldData, setSubfieldData] = useState([]);
-  const [nodeLinkData, setNodeLinkData] = useState({});
+  return (
+    <Suspense fallback={null}>
+      <Dashboard />
+    </Suspense>
+  );
+}
+
+function Dashboard() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  // Data state: the built-in files, and a user dataset that replaces
+  // them in every view while it's loaded (see DatasetUpload)
+  const [builtinData, setBuiltinData] = useState({
+    countryYear: [],
+    summary: [],
+    subfield: [],
+    nodeLink: {},
+    collaborations: [],
+  });
+  const [uploadedData, setUploadedData] = useState(null);
+  const {
+    countryYear: countryYearData,
+    summary: countrySummary,
+    subfield: subfieldData,
+    nodeLink: nodeLinkData,
+    collaborations,
+  } = uploadedData || builtinData;
+  const [population, setPopulation] = useState([]);
+  const [gdp, setGdp] = useState([]);
   const [worldGeo, setWorldGeo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Interaction state
-  const [selectedYear, setSelectedYear] = useState(2024);
-  const [yearRange, setYearRange] = useState([2010, 2025]);
-  const [selectedCountry, setSelectedCountry] = useState(null);
-  const [comparedCountries, setComparedCountries] = useState([]);
-  const [selectedSubfield, setSelectedSubfield] = useState(null);
+  // Valid values for URL state, known once the data has loaded
+  const countryCodes = useMemo(
+    () => new Set(countrySummary.map((c) => c.country_code)),
+    [countrySummary]
+  );
+  const subfields = useMemo(() => {
+    const names = new Set(subfieldData.map((d) => d.subfield));
+    Object.values(nodeLinkData).forEach((graph) => {
+      graph.nodes.forEach((n) => names.add(n.id));
+    });
+    return names;
+  }, [subfieldData, nodeLinkData]);
+
+  // Interaction state lives in the query string so links survive reloads
+  // and back/forward navigation
+  const urlState = useMemo(
+    () => parseDashboardParams(searchParams, {
+      countryCodes,
+      subfields,
+    }),
+    [searchParams, countryCodes, subfields]
+  );
+  const {
+    selectedYear,
+    yearRange, // [start, end] from the time brush, null = single year
+    selectedCountry,
+    comparedCountries,
+    selectedSubfield,
+    viewMode, // one of VIEW_MODES
+    mapType, // one of MAP_TYPES
+    maxCompared, // comparison limit
+    customGroups, // user-defined groups, [{ name, members }]
+  } = urlState;
+
+  // Regions and blocs, usable wherever a country code is
+  const groups = useMemo(
+    () => buildGroupIndex(customGroups, countryCodes),
+    [customGroups, countryCodes]
+  );
+
+  // Rows summed over the members of each group in use, in the same shape
+  // as the per-country rows
+  const activeGroups = useMemo(
+    () => [...new Set([...comparedCountries, selectedCountry])]
+      .filter((code) => groups.has(code))
+      .map((code) => groups.get(code)),
+    [comparedCountries, selectedCountry, groups]
+  );
+  const groupYearData = useMemo(
+    () => aggregateGroupRows(countryYearData, activeGroups),
+    [countryYearData, activeGroups]
+  );
+  const groupSubfieldData = useMemo(
+    () => aggregateGroupRows(subfieldData, activeGroups),
+    [subfieldData, activeGroups]
+  );
+  const subfieldDataWithGroups = useMemo(
+    () => (groupSubfieldData.length ? [...subfieldData, ...groupSubfieldData] : subfieldData),
+    [subfieldData, groupSubfieldData]
+  );
+  // Figures on the comparison chips, for the active period and subfield
+  const comparisonMetrics = useMemo(() => {
+    const rows = selectedSubfield ? subfieldDataWithGroups : [...countryYearData, ...groupYearData];
+    return computeMetrics(rows, {
+      span: getYearSpan(selectedYear, yearRange),
+      subfield: selectedSubfield,
+      countries: comparedCountries,
+    });
+  }, [countryYearData, groupYearData, subfieldDataWithGroups, selectedSubfield, selectedYear, yearRange, comparedCountries]);
+  const summaryWithGroups = useMemo(
+    () => [...countrySummary, ...activeGroups.map((g) => ({ country_code: g.code, country: g.label }))],
+    [countrySummary, activeGroups]
+  );
   const [hoveredCountry, setHoveredCountry] = useState(null);
-  const [viewMode, setViewMode] = useState('absolute'); // 'absolute' | 'growth'
+  const [classification, setClassification] = useState(DEFAULT_CLASSIFICATION);
+  // Playback step (ms per year, 1× by default); the map shortens its
+  // fill transitions to fit faster steps
+  const [playbackInterval, setPlaybackInterval] = useState(1000);
+
+  // Theme and palette, remembered per browser
+  const [themeId, setThemeId] = useState(DEFAULT_THEME_ID);
+  const [paletteId, setPaletteId] = useState(DEFAULT_PALETTE_ID);
+  const theme = useMemo(() => getTheme(themeId, paletteId), [themeId, paletteId]);
+
+  // Each compared country keeps its series colour until it is removed, so
+  // removing one doesn't recolour the rest
+  const seriesSlotsRef = useRef(new Map());
+  const comparisonColors = useMemo(() => {
+    const slots = assignSeriesSlots(comparedCountries, seriesSlotsRef.current, theme.series.length);
+    seriesSlotsRef.current = slots;
+    return new Map([...slots].map(([code, slot]) => [code, theme.series[slot]]));
+  }, [comparedCountries, theme]);
+
+  // Shown when an addition doesn't fit under the comparison limit
+  const [comparisonNotice, setComparisonNotice] = useState(null);
+
+  useEffect(() => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(THEME_STORAGE_KEY));
+      if (saved?.themeId) setThemeId(saved.themeId);
+      if (saved?.paletteId) setPaletteId(saved.paletteId);
+    } catch {
+      // Ignore unreadable settings and keep the defaults
+    }
+  }, []);
+
+  useEffect(() => {
+    applyThemeVariables(theme);
+    window.localStorage.setItem(
+      THEME_STORAGE_KEY,
+      JSON.stringify({ themeId: theme.id, paletteId: theme.paletteId })
+    );
+  }, [theme]);
+
+  // Read through a ref so updateUrlState keeps one identity; otherwise
+  // every year tick during playback would re-create all the handlers and
+  // force every view to redraw
+  const urlStateRef = useRef(urlState);
+  urlStateRef.current = urlState;
+
+  // Push a partial state change to the URL. Continuous changes (slider,
+  // playback) replace the history entry instead of adding one per tick.
+  const updateUrlState = useCallback((patch, { replace = false } = {}) => {
+    const query = serializeDashboardParams({ ...urlStateRef.current, ...patch });
+    const url = query ? `${pathname}?${query}` : pathname;
+    if (replace) {
+      router.replace(url, { scroll: false });
+    } else {
+      router.push(url, { scroll: false });
+    }
+  }, [pathname, router]);
 
   // Load data on mount
   useEffect(() => {
@@ -31,32 +203,46 @@ export default function Home() {
       try {
         setLoading(true);
 
-        // Load all data files in parallel
-        const [cyRes, summaryRes, subfieldRes, nodeLinkRes, geoRes] = await Promise.all([
-          fetch('/ai_papers_country_year.json'),
-          fetch('/ai_papers_country_summary.json'),
-          fetch('/ai_papers_country_year_subfield.json'),
-          fetch('/node_link_by_country.json'),
+        // Data comes through the query API; the map geometry is static
+        const [dataRes, geoRes] = await Promise.all([
+          fetch('/api/data?type=all'),
           fetch('/world-50m.json'),
         ]);
 
-        if (!cyRes.ok || !summaryRes.ok || !subfieldRes.ok || !nodeLinkRes.ok || !geoRes.ok) {
-          throw new Error('Failed to load one or more data files');
+        if (!dataRes.ok || !geoRes.ok) {
+          const payload = dataRes.ok ? null : await dataRes.json().catch(() => null);
+          throw new Error(payload?.error?.message || 'Failed to load one or more data files');
         }
 
-        const [cy, summary, subfield, nodeLink, geo] = await Promise.all([
-          cyRes.json(),
-          summaryRes.json(),
-          subfieldRes.json(),
-          nodeLinkRes.json(),
-          geoRes.json(),
-        ]);
+        const [{ data }, geo] = await Promise.all([dataRes.json(), geoRes.json()]);
+
+        const required = ['country-year', 'summary', 'subfield', 'nodelink', 'population', 'gdp'];
+        const missing = required.filter((type) => !data[type]);
+        if (missing.length) {
+          throw new Error(`Missing data: ${missing.join(', ')}`);
+        }
+
+        const {
+          'country-year': cy,
+          summary,
+          subfield,
+          nodelink: nodeLink,
+          population: populationRows,
+          gdp: gdpRows,
+          // Optional until fetch_collaborations.py has been run
+          collaboration: collaborationRows = [],
+        } = data;
 
-        setCountryYearData(cy);
-        setCountrySummary(summary);
-        setSubfieldData(subfield);
-        setNodeLinkData(nodeLink);
+        setBuiltinData({
+          countryYear: cy,
+          summary,
+          subfield,
+          nodeLink,
+          collaborations: collaborationRows,
+        });
         setWorldGeo(geo);
+        setPopulation(populationRows);
+        setGdp(gdpRows);
         setLoading(false);
       } catch (err) {
         console.error('Data loading error:', err);
@@ -68,48 +254,154 @@ export default function Home() {
     loadData();
   }, []);
 
+  // Query string from before a user dataset was loaded, restored when
+  // switching back; null once the restored URL is in place
+  const builtinQueryRef = useRef(null);
+
+  const handleLoadDataset = useCallback((dataset) => {
+    if (!uploadedData) builtinQueryRef.current = searchParams.toString();
+    setUploadedData(dataset);
+  }, [uploadedData, searchParams]);
+
+  const handleResetDataset = useCallback(() => {
+    const query = builtinQueryRef.current ?? searchParams.toString();
+    builtinQueryRef.current = query;
+    setUploadedData(null);
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  }, [searchParams, pathname, router]);
+
+  // Rewrite malformed or non-canonical links once values can be validated.
+  // Not while a user dataset is loaded, whose codes and subfields would
+  // strip the built-in comparison from the link, nor until the link saved
+  // from before it is back.
+  useEffect(() => {
+    if (loading || error || uploadedData) return;
+    if (builtinQueryRef.current !== null) {
+      if (builtinQueryRef.current !== searchParams.toString()) return;
+      builtinQueryRef.current = null;
+    }
+    const query = serializeDashboardParams(urlState);
+    if (new URLSearchParams(query).toString() !== searchParams.toString()) {
+      router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+    }
+  }, [loading, error, uploadedData, urlState, searchParams, pathname, router]);
+
+  const countryName = useCallback(
+    (code) => groups.get(code)?.label
+      || countrySummary.find((c) => c.country_code === code)?.country
+      || code,
+    [countrySummary, groups]
+  );
+
   // Handler: Select a country on the map
   const handleCountrySelect = useCallback((countryCode) => {
     if (countryCode === selectedCountry) {
       // Deselect if clicking same country
-      setSelectedCountry(null);
+      updateUrlState({ selectedCountry: null });
     } else {
-      setSelectedCountry(countryCode);
-      // Add to comparison if not already there
-      if (!comparedCountries.includes(countryCode)) {
-        setComparedCountries((prev) => [...prev.slice(-4), countryCode]); // Keep last 5
+      // Add to comparison if not already there and there is room;
+      // otherwise select it without evicting anyone
+      if (comparedCountries.includes(countryCode)) {
+        updateUrlState({ selectedCountry: countryCode });
+      } else if (comparedCountries.length >= maxCompared) {
+        updateUrlState({ selectedCountry: countryCode });
+        setComparisonNotice(
+          `Comparison limit of ${maxCompared} reached, so ${countryName(countryCode)} was not added. Remove a country or raise the limit.`
+        );
+      } else {
+        updateUrlState({ selectedCountry: countryCode, comparedCountries: [...comparedCountries, countryCode] });
       }
     }
-  }, [selectedCountry, comparedCountries]);
+  }, [selectedCountry, comparedCountries, maxCompared, countryName, updateUrlState]);
 
   // Handler: Remove country from comparison
   const handleRemoveComparison = useCallback((countryCode) => {
-    setComparedCountries((prev) => prev.filter((c) => c !== countryCode));
-    if (selectedCountry === countryCode) {
-      setSelectedCountry(null);
-    }
-  }, [selectedCountry]);
+    setComparisonNotice(null);
+    updateUrlState({
+      comparedCountries: comparedCountries.filter((c) => c !== countryCode),
+      selectedCountry: selectedCountry === countryCode ? null : selectedCountry,
+    });
+  }, [selectedCountry, comparedCountries, updateUrlState]);
 
   // Handler: Clear all comparisons
   const handleClearComparisons = useCallback(() => {
-    setComparedCountries([]);
-    setSelectedCountry(null);
-  }, []);
+    setComparisonNotice(null);
+    updateUrlState({ comparedCountries: [], selectedCountry: null });
+  }, [updateUrlState]);
 
-  // Handler: Year slider change
+  // Handler: Replace the comparison set (country search, presets)
+  const handleComparisonsChange = useCallback((codes) => {
+    const compared = codes.slice(0, maxCompared);
+    const skipped = codes.slice(maxCompared);
+    setComparisonNotice(skipped.length
+      ? `Comparison limit of ${maxCompared} reached; not added: ${skipped.map(countryName).join(', ')}.`
+      : null);
+    updateUrlState({
+      comparedCountries: compared,
+      selectedCountry: compared.includes(selectedCountry) ? selectedCountry : null,
+    });
+  }, [selectedCountry, maxCompared, countryName, updateUrlState]);
+
+  // Handler: Save a user-defined group (replacing one of the same name)
+  // and compare it
+  const handleSaveGroup = useCallback((name, members) => {
+    const code = groupCode(name);
+    const others = customGroups.filter((g) => groupCode(g.name) !== code);
+    const compared = comparedCountries.includes(code) ? comparedCountries : [...comparedCountries, code];
+    const fits = compared.length <= maxCompared;
+    setComparisonNotice(fits
+      ? null
+      : `Comparison limit of ${maxCompared} reached, so ${name} was saved but not added.`);
+    updateUrlState({
+      customGroups: [...others, { name, members }],
+      comparedCountries: fits ? compared : comparedCountries,
+    });
+  }, [customGroups, comparedCountries, maxCompared, updateUrlState]);
+
+  // Handler: Delete a user-defined group, and drop it from the comparison
+  const handleDeleteGroup = useCallback((code) => {
+    updateUrlState({
+      customGroups: customGroups.filter((g) => groupCode(g.name) !== code),
+      comparedCountries: comparedCountries.filter((c) => c !== code),
+      selectedCountry: selectedCountry === code ? null : selectedCountry,
+    });
+  }, [customGroups, comparedCountries, selectedCountry, updateUrlState]);
+
+  // Handler: Comparison limit (can't go below the current set size)
+  const handleMaxComparedChange = useCallback((limit) => {
+    setComparisonNotice(null);
+    updateUrlState({ maxCompared: limit });
+  }, [updateUrlState]);
+
+  // Handler: Year slider change (a single year replaces any brushed range)
   const handleYearChange = useCallback((year) => {
-    setSelectedYear(year);
-  }, []);
+    updateUrlState({ selectedYear: year, yearRange: null }, { replace: true });
+  }, [updateUrlState]);
 
   // Handler: Time brush change
   const handleYearRangeChange = useCallback((range) => {
-    setYearRange(range);
-  }, []);
+    updateUrlState({ yearRange: range });
+  }, [updateUrlState]);
+
+  // Handler: Map view mode toggle
+  const handleViewModeChange = useCallback((mode) => {
+    updateUrlState({ viewMode: mode });
+  }, [updateUrlState]);
+
+  // Handler: Map type toggle (choropleth, symbols, cartogram)
+  const handleMapTypeChange = useCallback((type) => {
+    updateUrlState({ mapType: type });
+  }, [updateUrlState]);
 
   // Handler: Subfield selection from node-link graph
   const handleSubfieldSelect = useCallback((subfield) => {
-    setSelectedSubfield(subfield === selectedSubfield ? null : subfield);
-  }, [selectedSubfield]);
+    updateUrlState({ selectedSubfield: subfield === selectedSubfield ? null : subfield });
+  }, [selectedSubfield, updateUrlState]);
+
+  // Handler: Subfield filter set directly (ranking chart)
+  const handleSubfieldChange = useCallback((subfield) => {
+    updateUrlState({ selectedSubfield: subfield });
+  }, [updateUrlState]);
 
   // Handler: Hover on map
   const handleCountryHover = useCallback((countryCode) => {
@@ -147,14 +439,46 @@ export default function Home() {
   return (
     <main className="min-h-screen p-4 md:p-6">
       {/* Header */}
-      <header className="mb-6">
-        <h1 className="font-display text-2xl md:text-3xl font-bold tracking-tight">
-          Global AI Research
-          <span className="text-viz-accent ml-2">2010–2025</span>
-        </h1>
-        <p className="text-viz-muted mt-1 text-sm md:text-base">
-          Interactive visualization of AI paper distribution by country, year, and research area
-        </p>
+      <header className="mb-6 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="font-display text-2xl md:text-3xl font-bold tracking-tight">
+            Global AI Research
+            <span className="text-viz-accent ml-2">2010–2025</span>
+          </h1>
+          <p className="text-viz-muted mt-1 text-sm md:text-base">
+            Interactive visualization of AI paper distribution by country, year, and research area
+          </p>
+        </div>
+
+        {/* Dataset, theme and palette switchers */}
+        <div className="flex flex-wrap items-center gap-2">
+          <DatasetUpload
+            dataset={uploadedData}
+            builtinSummary={builtinData.summary}
+            onLoad={handleLoadDataset}
+            onReset={handleResetDataset}
+            theme={theme}
+          />
+          {Object.entries(THEMES).map(([id, { label }]) => (
+            <button
+              key={id}
+              onClick={() => setThemeId(id)}
+              className={`viz-button px-3 py-1 ${theme.id === id ? 'active' : ''}`}
+            >
+              {label}
+            </button>
+          ))}
+          <select
+            value={theme.paletteId}
+            onChange={(e) => setPaletteId(e.target.value)}
+            className="bg-viz-border text-viz-text text-xs font-mono rounded px-1.5 py-1.5 border border-viz-border"
+            aria-label="Colour palette"
+          >
+            {Object.entries(PALETTES).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
       </header>
 
       {/* Controls Bar */}
@@ -162,23 +486,42 @@ export default function Home() {
         selectedYear={selectedYear}
         yearRange={yearRange}
         viewMode={viewMode}
+        mapType={mapType}
+        classification={classification}
         comparedCountries={comparedCountries}
+        maxCompared={maxCompared}
+        comparisonColors={comparisonColors}
+        comparisonNotice={comparisonNotice}
+        comparisonMetrics={comparisonMetrics}
+        data={countryYearData}
         countrySummary={countrySummary}
+        groups={groups}
         onYearChange={handleYearChange}
-        onViewModeChange={setViewMode}
+        onYearRangeChange={handleYearRangeChange}
+        onViewModeChange={handleViewModeChange}
+        onMapTypeChange={handleMapTypeChange}
+        onClassificationChange={setClassification}
+        theme={theme}
         onRemoveComparison={handleRemoveComparison}
         onClearComparisons={handleClearComparisons}
+        onComparisonsChange={handleComparisonsChange}
+        onSaveGroup={handleSaveGroup}
+        onDeleteGroup={handleDeleteGroup}
+        onMaxComparedChange={handleMaxComparedChange}
+        onDismissNotice={() => setComparisonNotice(null)}
+        playbackInterval={playbackInterval}
+        onPlaybackIntervalChange={setPlaybackInterval}
       />
 
       {/* Main Layout: Map (left) + Side panels (right) */}
       <div className="grid grid-cols-1 lg:grid-cols-12 gap-4 mt-4">
         {/* Map View - Takes 7 columns on large screens */}
-        <div className="lg:col-span-7">
+        <div className="lg:col-span-7 flex flex-col gap-4">
           <div className="viz-panel h-[500px] md:h-[600px]">
             <div className="viz-panel-header">
               <span className="viz-panel-title">Global Distribution</span>
               <span className="text-viz-muted text-xs font-mono">
-                Year: {selectedYear} | {viewMode === 'absolute' ? 'Paper Count' : 'Growth Rate'}
+                {yearRange ? 'Years' : 'Year'}: {formatYearSpan(getYearSpan(selectedYear, yearRange))} | {VIEW_MODE_CONFIG[viewMode].label}
               </span>
             </div>
             <div className="viz-panel-content h-[calc(100%-60px)]">
@@ -187,17 +530,47 @@ export default function Home() {
                 summary={countrySummary}
                 geoData={worldGeo}
                 selectedYear={selectedYear}
+                yearRange={yearRange}
                 selectedCountry={selectedCountry}
-                comparedCountries={comparedCountries}
+                comparisonColors={comparisonColors}
+                groups={groups}
                 hoveredCountry={hoveredCountry}
                 viewMode={viewMode}
+                mapType={mapType}
+                classification={classification}
+                playbackInterval={playbackInterval}
+                theme={theme}
                 selectedSubfield={selectedSubfield}
                 subfieldData={subfieldData}
+                population={population}
+                gdp={gdp}
+                collaborations={collaborations}
                 onCountrySelect={handleCountrySelect}
                 onCountryHover={handleCountryHover}
               />
             </div>
           </div>
+
+          {/* Subfield Composition */}
+          <div className="viz-panel h-[300px]">
+            <div className="viz-panel-header">
+              <span className="viz-panel-title">Subfield Mix</span>
+            </div>
+            <div className="viz-panel-content h-[calc(100%-60px)]">
+              <SubfieldComposition
+                subfieldData={subfieldDataWithGroups}
+                countrySummary={summaryWithGroups}
+                selectedCountry={selectedCountry}
+                comparedCountries={comparedCountries}
+                comparisonColors={comparisonColors}
+                selectedSubfield={selectedSubfield}
+                selectedYear={selectedYear}
+                yearRange={yearRange}
+                onSubfieldSelect={handleSubfieldSelect}
+                theme={theme}
+              />
+            </div>
+          </div>
         </div>
 
         {/* Side Panels - Takes 5 columns on large screens */}
@@ -208,7 +581,7 @@ export default function Home() {
               <span className="viz-panel-title">Growth Over Time</span>
               {comparedCountries.length > 0 && (
                 <span className="text-viz-accent text-xs font-mono">
-                  {comparedCountries.length} countries selected
+                  {comparedCountries.length} selected
                 </span>
               )}
             </div>
@@ -216,12 +589,19 @@ export default function Home() {
               <TimeSeriesPanel
                 data={countryYearData}
                 subfieldData={subfieldData}
+                groupData={groupYearData}
+                groupSubfieldData={groupSubfieldData}
                 comparedCountries={comparedCountries}
+                comparisonColors={comparisonColors}
                 selectedCountry={selectedCountry}
+                hoveredCountry={hoveredCountry}
                 selectedSubfield={selectedSubfield}
+                selectedYear={selectedYear}
                 yearRange={yearRange}
                 onYearRangeChange={handleYearRangeChange}
                 onCountrySelect={handleCountrySelect}
+                onCountryHover={handleCountryHover}
+                theme={theme}
               />
             </div>
           </div>
@@ -232,19 +612,95 @@ export default function Home() {
               <span className="viz-panel-title">Research Fields</span>
               {selectedCountry && (
                 <span className="text-viz-highlight text-xs font-mono">
-                  {countrySummary.find((c) => c.country_code === selectedCountry)?.country || selectedCountry}
+                  {countryName(selectedCountry)}
                 </span>
               )}
             </div>
             <div className="viz-panel-content h-[calc(100%-60px)]">
               <NodeLinkGraph
                 nodeLinkData={nodeLinkData}
+                data={countryYearData}
+                subfieldData={subfieldData}
+                selectedYear={selectedYear}
+                yearRange={yearRange}
                 selectedCountry={selectedCountry}
+                comparedCountries={comparedCountries}
+                comparisonColors={comparisonColors}
                 selectedSubfield={selectedSubfield}
                 onSubfieldSelect={handleSubfieldSelect}
+                theme={theme}
               />
             </div>
           </div>
+
+          {/* Collaboration Chord; collapsed to a note when there's no
+              co-authorship data, which also leaves the map without flows */}
+          {collaborations.length > 0 ? (
+            <div className="viz-panel h-[300px]">
+              <div className="viz-panel-header">
+                <span className="viz-panel-title">International Collaboration</span>
+                <span className="text-viz-muted text-xs font-mono">
+                  {formatYearSpan(getYearSpan(selectedYear, yearRange))}
+                </span>
+              </div>
+              <div className="viz-panel-content h-[calc(100%-60px)]">
+                <CollaborationChord
+                  collaborations={collaborations}
+                  countrySummary={countrySummary}
+                  selectedYear={selectedYear}
+                  yearRange={yearRange}
+                  selectedCountry={groups.has(selectedCountry) ? null : selectedCountry}
+                  comparisonColors={comparisonColors}
+                  onCountrySelect={handleCountrySelect}
+                  theme={theme}
+                />
+              </div>
+            </div>
+          ) : (
+            <div className="viz-panel">
+              <div className="viz-panel-header">
+                <span className="viz-panel-title">International Collaboration</span>
+                <span className="text-viz-muted text-xs font-mono">unavailable</span>
+              </div>
+              <p className="viz-panel-content text-xs text-viz-muted">
+                {uploadedData ? (
+                  <>Co-authorship is only available with the built-in data, so the chord diagram and the map&apos;s collaboration flows are off for {uploadedData.name}.</>
+                ) : (
+                  <>
+                    The co-authorship data isn&apos;t bundled, so the chord diagram and the map&apos;s collaboration flows are off.
+                    Run <code className="bg-viz-border px-1 rounded">data_processing/fetch_collaborations.py</code> to generate it.
+                  </>
+                )}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Ranking Bump Chart */}
+      <div className="viz-panel h-[420px] mt-4">
+        <div className="viz-panel-header">
+          <span className="viz-panel-title">Country Rankings</span>
+          <span className="text-viz-muted text-xs font-mono">
+            {selectedSubfield || 'All AI'} · rank by papers per year
+          </span>
+        </div>
+        <div className="viz-panel-content h-[calc(100%-60px)]">
+          <RankingBumpChart
+            data={countryYearData}
+            subfieldData={subfieldData}
+            countrySummary={countrySummary}
+            selectedCountry={selectedCountry}
+            hoveredCountry={hoveredCountry}
+            comparisonColors={comparisonColors}
+            selectedSubfield={selectedSubfield}
+            selectedYear={selectedYear}
+            yearRange={yearRange}
+            onCountrySelect={handleCountrySelect}
+            onCountryHover={handleCountryHover}
+            onSubfieldChange={handleSubfieldChange}
+            theme={theme}
+          />
         </div>
       </div>
 
@@ -0,0 +1,198 @@
+'use client';
+
+import { useRef, useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { getYearSpan, formatYearSpan } from '../lib/dataUtils';
+import { sumCollaborations, collaborationMatrix } from '../lib/collaboration';
+import { exportMetadata, downloadCSV, downloadJSON, downloadSVG, downloadPNG } from '../lib/exportUtils';
+import ExportMenu from './ExportMenu';
+
+// How many of the most collaborative countries the chord shows
+const TOP_N_OPTIONS = [8, 12, 16];
+
+export default function CollaborationChord({
+  collaborations,
+  countrySummary,
+  selectedYear,
+  yearRange,
+  selectedCountry,
+  comparisonColors,
+  onCountrySelect,
+  theme,
+}) {
+  const svgRef = useRef(null);
+  const [dimensions, setDimensions] = useState({ width: 500, height: 260 });
+  const [topN, setTopN] = useState(TOP_N_OPTIONS[0]);
+
+  const yearSpan = useMemo(
+    () => getYearSpan(selectedYear, yearRange),
+    [selectedYear, yearRange]
+  );
+
+  const countryNames = useMemo(
+    () => new Map(countrySummary.map(c => [c.country_code, c.country])),
+    [countrySummary]
+  );
+
+  // Top-N matrix for the active period
+  const { codes, matrix } = useMemo(
+    () => collaborationMatrix(sumCollaborations(collaborations, yearSpan), topN),
+    [collaborations, yearSpan, topN]
+  );
+
+  // Resize observer
+  useEffect(() => {
+    const container = svgRef.current?.parentElement;
+    if (!container) return;
+    const observer = new ResizeObserver((entries) => {
+      const { width, height } = entries[0].contentRect;
+      setDimensions({ width, height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+    const { width, height } = dimensions;
+
+    svg.selectAll('*').remove();
+    if (codes.length < 2) return;
+
+    const outerRadius = Math.min(width, height) / 2 - 24;
+    const innerRadius = outerRadius - 8;
+    if (innerRadius <= 0) return;
+
+    const chords = d3.chord()
+      .padAngle(0.04)
+      .sortSubgroups(d3.descending)(matrix);
+
+    // Compared countries keep their series colour from the other views;
+    // everyone else is neutral, so no two countries share a colour
+    const color = code => comparisonColors.get(code) || theme.muted;
+    const name = code => countryNames.get(code) || code;
+    const periodLabel = formatYearSpan(yearSpan);
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${width / 2},${height / 2})`);
+
+    // Ribbons: one per country pair, faded unless they touch the selection
+    const involvesSelection = d => selectedCountry
+      && (codes[d.source.index] === selectedCountry || codes[d.target.index] === selectedCountry);
+    const baseOpacity = d => (!selectedCountry || involvesSelection(d) ? 0.7 : 0.1);
+
+    const ribbons = g.append('g')
+      .selectAll('path')
+      .data(chords)
+      .join('path')
+      .attr('d', d3.ribbon().radius(innerRadius - 1))
+      .attr('fill', d => {
+        // The compared end of the pair, else the larger one
+        const [source, target] = [codes[d.source.index], codes[d.target.index]];
+        if (comparisonColors.has(source) !== comparisonColors.has(target)) {
+          return color(comparisonColors.has(source) ? source : target);
+        }
+        return color(d.source.value >= d.target.value ? source : target);
+      })
+      .attr('fill-opacity', baseOpacity)
+      .attr('stroke', theme.bg)
+      .attr('stroke-width', 0.5);
+
+    ribbons.append('title')
+      .text(d => `${name(codes[d.source.index])} ↔ ${name(codes[d.target.index])}: `
+        + `${d.source.value.toLocaleString()} co-authored papers (${periodLabel})`);
+
+    // Arcs: one per country, click to select
+    const groups = g.append('g')
+      .selectAll('g')
+      .data(chords.groups)
+      .join('g')
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, group) => {
+        ribbons.attr('fill-opacity', d =>
+          d.source.index === group.index || d.target.index === group.index ? 0.85 : 0.05);
+      })
+      .on('mouseleave', () => ribbons.attr('fill-opacity', baseOpacity))
+      .on('click', (event, group) => onCountrySelect(codes[group.index]));
+
+    groups.append('path')
+      .attr('d', d3.arc().innerRadius(innerRadius).outerRadius(outerRadius))
+      .attr('fill', d => color(codes[d.index]))
+      .attr('stroke', d => codes[d.index] === selectedCountry ? theme.highlight : theme.bg)
+      .attr('stroke-width', d => codes[d.index] === selectedCountry ? 2 : 0.5);
+
+    groups.append('title')
+      .text(d => `${name(codes[d.index])}: ${d.value.toLocaleString()} papers with the others shown (${periodLabel})`);
+
+    // Labels along the outside of each arc
+    groups.append('text')
+      .each(d => { d.angle = (d.startAngle + d.endAngle) / 2; })
+      .attr('dy', '0.35em')
+      .attr('transform', d => `rotate(${(d.angle * 180) / Math.PI - 90}) translate(${outerRadius + 5})`
+        + (d.angle > Math.PI ? ' rotate(180)' : ''))
+      .attr('text-anchor', d => (d.angle > Math.PI ? 'end' : null))
+      .attr('fill', d => codes[d.index] === selectedCountry ? theme.highlight : theme.subtle)
+      .attr('font-size', 9)
+      .attr('font-family', 'JetBrains Mono, monospace')
+      .attr('pointer-events', 'none')
+      .text(d => codes[d.index]);
+  }, [codes, matrix, dimensions, yearSpan, selectedCountry, comparisonColors, countryNames, onCountrySelect, theme]);
+
+  // Export: the pairs shown in the chord, largest first
+  const exportInfo = () => exportMetadata('collaboration', {
+    year: formatYearSpan(yearSpan),
+    top: `top${topN}`,
+  });
+  const pairRows = () => codes
+    .flatMap((source, i) => codes.slice(i + 1).map((target, k) => ({
+      source,
+      target,
+      papers: matrix[i][i + 1 + k],
+    })))
+    .filter(d => d.papers > 0)
+    .sort((a, b) => b.papers - a.papers);
+
+  const hasChord = codes.length >= 2;
+  const exportItems = [
+    {
+      label: 'Pairs (CSV)',
+      disabled: !hasChord,
+      onSelect: () => downloadCSV(pairRows(), ['source', 'target', 'papers'], exportInfo()),
+    },
+    {
+      label: 'Matrix (JSON)',
+      disabled: !hasChord,
+      onSelect: () => downloadJSON({ codes, matrix }, exportInfo()),
+    },
+    { label: 'Chord (SVG)', disabled: !hasChord, onSelect: () => downloadSVG(svgRef.current, exportInfo(), theme.surface) },
+    { label: 'Chord (PNG)', disabled: !hasChord, onSelect: () => downloadPNG(svgRef.current, exportInfo(), theme.surface) },
+  ];
+
+  return (
+    <div className="w-full h-full relative">
+      <svg ref={svgRef} width={dimensions.width} height={dimensions.height} className="w-full h-full" />
+
+      {codes.length < 2 && (
+        <div className="absolute inset-0 flex items-center justify-center text-viz-muted text-sm pointer-events-none">
+          <p>No collaborations in {formatYearSpan(yearSpan)}</p>
+        </div>
+      )}
+
+      <div className="absolute top-1 right-2 flex items-center gap-1 text-[10px] text-viz-muted font-mono">
+        <span>Top</span>
+        {TOP_N_OPTIONS.map(n => (
+          <button
+            key={n}
+            onClick={() => setTopN(n)}
+            className={`viz-button px-1.5 py-0 text-[10px] ${topN === n ? 'active' : ''}`}
+          >
+            {n}
+          </button>
+        ))}
+        <ExportMenu items={exportItems} />
+      </div>
+    </div>
+  );
+}
@@ -1,39 +1,140 @@
 'use client';
 
-import { useMemo } from 'react';
-
-// Same colors as TimeSeriesPanel for consistency
-const COUNTRY_COLORS = [
-  '#22d3ee', // cyan
-  '#f472b6', // pink
-  '#4ade80', // green
-  '#fbbf24', // yellow
-  '#a78bfa', // purple
-  '#fb7185', // rose
+import { useMemo, useState, useEffect } from 'react';
+import { MIN_YEAR, MAX_YEAR, formatYearSpan, getYearSpan, partialYearsIn, isPartialYear } from '../lib/dataUtils';
+import { VIEW_MODES, VIEW_MODE_CONFIG, MAP_TYPES } from '../lib/viewModes';
+import {
+  CLASSIFICATION_METHODS,
+  MIN_CLASSES,
+  MAX_CLASSES,
+  parseCustomBreaks,
+} from '../lib/classification';
+import { MIN_COMPARED, MAX_COMPARED } from '../lib/urlState';
+import { formatMetric } from '../lib/metrics';
+import CountryPicker from './CountryPicker';
+
+// Playback step intervals (ms per year)
+const PLAYBACK_SPEEDS = [
+  { label: '0.5×', interval: 2000 },
+  { label: '1×', interval: 1000 },
+  { label: '2×', interval: 500 },
 ];
 
+/**
+ * Hover text for a comparison chip: every metric for the active period
+ */
+function metricsTitle(m) {
+  if (!m) return undefined;
+  const lines = [`Papers: ${m.total.toLocaleString()}${m.partial ? ' (partial)' : ''}`];
+  if (m.share !== null) lines.push(`World share: ${formatMetric.share(m.share)}`);
+  if (m.rank) lines.push(`Rank: #${m.rank} (${formatMetric.rankChange(m.rankChange)} since ${m.rankFrom})`);
+  if (m.cagr !== null) lines.push(`CAGR: ${formatMetric.percent(m.cagr)}`);
+  if (m.slope !== null) lines.push(`Trend: ${formatMetric.slope(m.slope)}`);
+  if (m.volatility !== null) lines.push(`Volatility: ±${(m.volatility * 100).toFixed(1)}%`);
+  if (m.peakYear) lines.push(`Peak: ${m.peakYear} (${m.peakPapers.toLocaleString()})`);
+  return lines.join('\n');
+}
+
 export default function Controls({
   selectedYear,
   yearRange,
   viewMode,
+  mapType,
+  classification,
   comparedCountries,
+  maxCompared,
+  comparisonColors,
+  comparisonNotice,
+  data,
   countrySummary,
+  groups,
+  comparisonMetrics,
   onYearChange,
+  onYearRangeChange,
   onViewModeChange,
+  onMapTypeChange,
+  onClassificationChange,
+  theme,
   onRemoveComparison,
   onClearComparisons,
+  onComparisonsChange,
+  onSaveGroup,
+  onDeleteGroup,
+  onMaxComparedChange,
+  onDismissNotice,
+  playbackInterval,
+  onPlaybackIntervalChange,
 }) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [loop, setLoop] = useState(false);
+  const [breaksDraft, setBreaksDraft] = useState(classification.customBreaks.join(', '));
+  const [breaksInvalid, setBreaksInvalid] = useState(false);
+
+  // Advance one year per step; stop at the end unless looping
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const timer = setTimeout(() => {
+      if (selectedYear < MAX_YEAR) {
+        onYearChange(selectedYear + 1);
+      } else if (loop) {
+        onYearChange(MIN_YEAR);
+      } else {
+        setIsPlaying(false);
+      }
+    }, playbackInterval);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, selectedYear, playbackInterval, loop, onYearChange]);
+
+  // Brushing a range takes over from playback
+  useEffect(() => {
+    if (yearRange) setIsPlaying(false);
+  }, [yearRange]);
+
+  const handlePlayToggle = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Start over from the first year when already at the end, and leave
+    // range mode so the map follows the single playing year
+    onYearChange(selectedYear >= MAX_YEAR ? MIN_YEAR : selectedYear);
+    setIsPlaying(true);
+  };
+
+  const handleStep = (delta) => {
+    setIsPlaying(false);
+    onYearChange(Math.max(MIN_YEAR, Math.min(MAX_YEAR, selectedYear + delta)));
+  };
+
+  const updateClassification = (patch) => {
+    onClassificationChange({ ...classification, ...patch });
+  };
+
+  // Apply typed custom breaks; keep the last valid ones if parsing fails
+  const commitCustomBreaks = () => {
+    const breaks = parseCustomBreaks(breaksDraft);
+    setBreaksInvalid(!breaks);
+    if (breaks) updateClassification({ customBreaks: breaks });
+  };
+
   // Get country names for compared countries with matching colors
   const comparedCountryNames = useMemo(() => {
-    return comparedCountries.map((code, index) => {
+    return comparedCountries.map((code) => {
       const country = countrySummary.find((c) => c.country_code === code);
+      const group = groups.get(code);
       return { 
         code, 
-        name: country?.country || code,
-        color: COUNTRY_COLORS[index % COUNTRY_COLORS.length]
+        name: group?.label || country?.country || code,
+        color: comparisonColors.get(code) || theme.accent,
+        members: group?.members.length,
+        metrics: comparisonMetrics.get(code),
       };
     });
-  }, [comparedCountries, countrySummary]);
+  }, [comparedCountries, countrySummary, groups, comparisonColors, comparisonMetrics, theme]);
+
+  const partialYears = partialYearsIn(getYearSpan(selectedYear, yearRange));
 
   return (
     <div className="viz-panel">
@@ -42,58 +143,268 @@ export default function Controls({
         <div className="flex-1 min-w-[200px]">
           <div className="flex items-center justify-between mb-2">
             <label className="text-xs font-mono text-viz-muted uppercase tracking-wider">
-              Year
+              {yearRange ? 'Years' : 'Year'}
+              {partialYears.length > 0 && (
+                <span
+                  className="ml-2 normal-case tracking-normal"
+                  style={{ color: theme.warning }}
+                  title={`${partialYears.join(', ')} data is still incomplete, so counts and growth are understated`}
+                >
+                  partial data
+                </span>
+              )}
             </label>
-            <span className="font-mono text-viz-accent font-semibold">{selectedYear}</span>
+            {yearRange ? (
+              <span className="flex items-center gap-2">
+                <span className="font-mono text-viz-accent font-semibold">{formatYearSpan(yearRange)}</span>
+                <button
+                  onClick={() => onYearRangeChange(null)}
+                  className="text-xs text-viz-muted hover:text-viz-highlight font-mono"
+                  aria-label="Clear year range"
+                >
+                  ×
+                </button>
+              </span>
+            ) : (
+              <span className="font-mono text-viz-accent font-semibold">{selectedYear}</span>
+            )}
+          </div>
+          <div className="flex items-center gap-1.5 mb-2">
+            <button
+              onClick={() => handleStep(-1)}
+              disabled={selectedYear <= MIN_YEAR}
+              className="viz-button px-2 py-1 disabled:opacity-40"
+              aria-label="Previous year"
+            >
+              ⏮
+            </button>
+            <button
+              onClick={handlePlayToggle}
+              className={`viz-button px-3 py-1 ${isPlaying ? 'active' : ''}`}
+              aria-label={isPlaying ? 'Pause playback' : 'Play years'}
+            >
+              {isPlaying ? '⏸' : '▶'}
+            </button>
+            <button
+              onClick={() => handleStep(1)}
+              disabled={selectedYear >= MAX_YEAR}
+              className="viz-button px-2 py-1 disabled:opacity-40"
+              aria-label="Next year"
+            >
+              ⏭
+            </button>
+            <button
+              onClick={() => setLoop((prev) => !prev)}
+              className={`viz-button px-2 py-1 ${loop ? 'active' : ''}`}
+              aria-pressed={loop}
+              title="Loop playback"
+            >
+              ⟲
+            </button>
+            <select
+              value={playbackInterval}
+              onChange={(e) => onPlaybackIntervalChange(parseInt(e.target.value))}
+              className="bg-viz-border text-viz-text text-xs font-mono rounded px-1.5 py-1 border border-viz-border"
+              aria-label="Playback speed"
+            >
+              {PLAYBACK_SPEEDS.map(({ label, interval }) => (
+                <option key={interval} value={interval}>{label}</option>
+              ))}
+            </select>
           </div>
           <input
             type="range"
-            min={2010}
-            max={2025}
+            min={MIN_YEAR}
+            max={MAX_YEAR}
             value={selectedYear}
             onChange={(e) => onYearChange(parseInt(e.target.value))}
-            className="year-slider"
+            className={`year-slider ${yearRange ? 'opacity-40' : ''}`}
           />
           <div className="flex justify-between text-[10px] text-viz-muted font-mono mt-1">
-            <span>2010</span>
-            <span>2025</span>
+            <span>{MIN_YEAR}</span>
+            <span>{yearRange ? 'Range set by time brush' : ''}</span>
+            <span title={isPartialYear(MAX_YEAR) ? `${MAX_YEAR} is a partial year` : undefined}>
+              {MAX_YEAR}{isPartialYear(MAX_YEAR) ? '*' : ''}
+            </span>
           </div>
         </div>
 
         {/* View Mode Toggle */}
-        <div className="flex items-center gap-2">
+        <div className="flex items-center gap-2 flex-wrap">
           <span className="text-xs font-mono text-viz-muted uppercase tracking-wider mr-2">View</span>
+          {VIEW_MODES.map((mode) => (
+            <button
+              key={mode}
+              onClick={() => onViewModeChange(mode)}
+              className={`viz-button ${viewMode === mode ? 'active' : ''}`}
+              title={VIEW_MODE_CONFIG[mode].title}
+            >
+              {VIEW_MODE_CONFIG[mode].label}
+            </button>
+          ))}
+        </div>
+
+        {/* Map Type Toggle */}
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className="text-xs font-mono text-viz-muted uppercase tracking-wider mr-2">Map</span>
+          {MAP_TYPES.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => onMapTypeChange(id)}
+              className={`viz-button ${mapType === id ? 'active' : ''}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Map Classification */}
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className="text-xs font-mono text-viz-muted uppercase tracking-wider mr-2">Colour</span>
           <button
-            onClick={() => onViewModeChange('absolute')}
-            className={`viz-button ${viewMode === 'absolute' ? 'active' : ''}`}
+            onClick={() => updateClassification({ type: 'continuous' })}
+            className={`viz-button ${classification.type === 'continuous' ? 'active' : ''}`}
           >
-            Paper Count
+            Continuous
           </button>
           <button
-            onClick={() => onViewModeChange('growth')}
-            className={`viz-button ${viewMode === 'growth' ? 'active' : ''}`}
+            onClick={() => updateClassification({ type: 'classed' })}
+            className={`viz-button ${classification.type === 'classed' ? 'active' : ''}`}
           >
-            Growth Rate
+            Classed
           </button>
+          {classification.type === 'classed' && (
+            <>
+              <select
+                value={classification.method}
+                onChange={(e) => updateClassification({ method: e.target.value })}
+                className="bg-viz-border text-viz-text text-xs font-mono rounded px-1.5 py-1 border border-viz-border"
+                aria-label="Classification method"
+              >
+                {CLASSIFICATION_METHODS.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              {classification.method === 'custom' ? (
+                <input
+                  type="text"
+                  value={breaksDraft}
+                  onChange={(e) => setBreaksDraft(e.target.value)}
+                  onBlur={commitCustomBreaks}
+                  onKeyDown={(e) => e.key === 'Enter' && commitCustomBreaks()}
+                  placeholder="e.g. 100, 1000, 10000"
+                  className={`bg-viz-border text-viz-text text-xs font-mono rounded px-2 py-1 w-40 border ${
+                    breaksInvalid ? 'border-viz-highlight' : 'border-viz-border'
+                  }`}
+                  aria-label="Custom class breaks"
+                  aria-invalid={breaksInvalid}
+                  title="Comma-separated break values in the current view's units"
+                />
+              ) : (
+                <select
+                  value={classification.classes}
+                  onChange={(e) => updateClassification({ classes: parseInt(e.target.value) })}
+                  className="bg-viz-border text-viz-text text-xs font-mono rounded px-1.5 py-1 border border-viz-border"
+                  aria-label="Number of classes"
+                >
+                  {Array.from({ length: MAX_CLASSES - MIN_CLASSES + 1 }, (_, i) => MIN_CLASSES + i).map((k) => (
+                    <option key={k} value={k}>{k} classes</option>
+                  ))}
+                </select>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Country Search and Presets */}
+        <CountryPicker
+          data={data}
+          countrySummary={countrySummary}
+          groups={groups}
+          selectedYear={selectedYear}
+          yearRange={yearRange}
+          comparedCountries={comparedCountries}
+          maxCompared={maxCompared}
+          onComparisonsChange={onComparisonsChange}
+          onSaveGroup={onSaveGroup}
+          onDeleteGroup={onDeleteGroup}
+        />
+
+        {/* Comparison Limit */}
+        <div className="flex items-center gap-2">
+          <label
+            htmlFor="comparison-limit"
+            className="text-xs font-mono text-viz-muted uppercase tracking-wider"
+          >
+            Compare up to
+          </label>
+          <select
+            id="comparison-limit"
+            value={maxCompared}
+            onChange={(e) => onMaxComparedChange(parseInt(e.target.value))}
+            className="bg-viz-border text-viz-text text-xs font-mono rounded px-1.5 py-1 border border-viz-border"
+          >
+            {Array.from({ length: MAX_COMPARED - MIN_COMPARED + 1 }, (_, i) => MIN_COMPARED + i).map((n) => (
+              <option
+                key={n}
+                value={n}
+                disabled={n < comparedCountries.length}
+                title={n < comparedCountries.length ? 'Remove countries first' : undefined}
+              >
+                {n}
+              </option>
+            ))}
+          </select>
         </div>
 
+        {/* Comparison Limit Warning */}
+        {comparisonNotice && (
+          <div
+            role="status"
+            className="w-full flex items-center gap-2 px-2 py-1 rounded border text-xs font-mono"
+            style={{ borderColor: theme.warning, color: theme.warning }}
+          >
+            <span>⚠ {comparisonNotice}</span>
+            <button
+              onClick={onDismissNotice}
+              className="ml-auto hover:text-viz-text"
+              aria-label="Dismiss warning"
+            >
+              ×
+            </button>
+          </div>
+        )}
+
         {/* Compared Countries Tags with Colors */}
         {comparedCountryNames.length > 0 && (
           <div className="flex items-center gap-2 flex-wrap">
             <span className="text-xs font-mono text-viz-muted uppercase tracking-wider">
-              Comparing:
+              Comparing ({comparedCountryNames.length}/{maxCompared}):
             </span>
-            {comparedCountryNames.map(({ code, name, color }) => (
+            {comparedCountryNames.map(({ code, name, color, members, metrics }) => (
               <span
                 key={code}
                 className="inline-flex items-center gap-1.5 px-2 py-1 bg-viz-border rounded text-xs font-mono"
                 style={{ borderLeft: `3px solid ${color}` }}
+                title={metricsTitle(metrics)}
               >
                 <span 
                   className="w-2 h-2 rounded-full" 
                   style={{ backgroundColor: color }}
                 />
                 {name}
+                {members && <span className="text-viz-muted" title={`Sum of ${members} member countries`}>({members})</span>}
+                {metrics && (
+                  <span className="text-viz-muted">
+                    {formatMetric.papers(metrics.total)}
+                    {metrics.rank && ` · #${metrics.rank}`}
+                    {metrics.rankChange ? (
+                      <span style={{ color: metrics.rankChange > 0 ? theme.positive : theme.negative }}>
+                        {' '}{formatMetric.rankChange(metrics.rankChange)}
+                      </span>
+                    ) : null}
+                  </span>
+                )}
                 <button
                   onClick={() => onRemoveComparison(code)}
                   className="text-viz-muted hover:text-viz-highlight ml-1"
@@ -0,0 +1,308 @@
+'use client';
+
+import { useRef, useEffect, useMemo, useState } from 'react';
+import { getYearSpan, formatYearSpan, sumPapersByCountry } from '../lib/dataUtils';
+import { matchesPrefix } from '../lib/countries';
+import { COUNTRY_GROUPS, MAX_GROUP_NAME, GROUP_PREFIX, groupCode } from '../lib/countryGroups';
+
+const MAX_SUGGESTIONS = 8;
+
+const GROUP_KIND_LABELS = {
+  bloc: 'bloc',
+  continent: 'continent',
+  subregion: 'UN region',
+  custom: 'my group',
+};
+
+/**
+ * Typeahead search over country names and ISO codes, with multi-select and
+ * presets. Works for countries that are hard or impossible to click on the
+ * map (microstates, unmapped geometry). Regions and blocs are listed too,
+ * and a multi-selection can be saved as a group of its own.
+ */
+export default function CountryPicker({
+  data,
+  countrySummary,
+  groups,
+  selectedYear,
+  yearRange,
+  comparedCountries,
+  maxCompared,
+  onComparisonsChange,
+  onSaveGroup,
+  onDeleteGroup,
+}) {
+  const inputRef = useRef(null);
+  const containerRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [pending, setPending] = useState([]);
+  const [groupName, setGroupName] = useState('');
+
+  const countries = useMemo(
+    () => countrySummary.map(c => ({ code: c.country_code, name: c.country || c.country_code })),
+    [countrySummary]
+  );
+  const nameByCode = useMemo(() => new Map([
+    ...countries.map(c => [c.code, c.name]),
+    ...Array.from(groups.values(), g => [g.code, g.label]),
+  ]), [countries, groups]);
+
+  // Papers in the active period, for ranking presets; a group's are its
+  // members' summed
+  const yearSpan = useMemo(() => getYearSpan(selectedYear, yearRange), [selectedYear, yearRange]);
+  const papers = useMemo(() => {
+    const totals = sumPapersByCountry(data, yearSpan);
+    groups.forEach(g => totals.set(g.code, g.members.reduce((sum, c) => sum + (totals.get(c) || 0), 0)));
+    return totals;
+  }, [data, yearSpan, groups]);
+  const byPapers = (a, b) => (papers.get(b) || 0) - (papers.get(a) || 0);
+
+  // Countries and groups; groups match on their code without the prefix
+  const entities = useMemo(() => [
+    ...countries,
+    ...Array.from(groups.values(), g => ({ code: g.code, name: g.label, kind: g.kind, size: g.members.length })),
+  ], [countries, groups]);
+
+  // Exact code first, then name prefix, then word prefix; ties by papers
+  const suggestions = useMemo(() => {
+    const q = query.trim().toLowerCase().replace(GROUP_PREFIX, '');
+    if (!q) return [];
+    const bareCode = (c) => (c.kind ? c.code.slice(GROUP_PREFIX.length) : c.code);
+    const rank = (c) => {
+      if (bareCode(c).toLowerCase() === q) return 0;
+      if (c.name.toLowerCase().startsWith(q)) return 1;
+      return 2;
+    };
+    return entities
+      .filter(c => matchesPrefix({ code: bareCode(c), name: c.name }, q))
+      .sort((a, b) => rank(a) - rank(b) || (papers.get(b.code) || 0) - (papers.get(a.code) || 0))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [entities, query, papers]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const togglePending = (code) => {
+    if (comparedCountries.includes(code)) return;
+    setPending(prev => (prev.includes(code) ? prev.filter(c => c !== code) : [...prev, code]));
+    setQuery('');
+    inputRef.current?.focus();
+  };
+
+  const commitPending = (codes = pending) => {
+    if (!codes.length) return;
+    onComparisonsChange([...comparedCountries, ...codes.filter(c => !comparedCountries.includes(c))]);
+    setPending([]);
+    setQuery('');
+    setOpen(false);
+  };
+
+  // The pending countries (groups are expanded) saved as a new group
+  const pendingMembers = [...new Set(pending.flatMap(code => groups.get(code)?.members || [code]))];
+  const trimmedName = groupName.trim();
+  const groupNameError = !trimmedName ? null
+    : !/^[A-Za-z0-9][A-Za-z0-9 -]*$/.test(trimmedName) ? 'Letters, digits, spaces and dashes only'
+      : groups.has(groupCode(trimmedName)) && groups.get(groupCode(trimmedName)).kind !== 'custom' ? 'Name taken by a built-in group'
+        : null;
+  const saveGroup = () => {
+    if (!trimmedName || groupNameError || pendingMembers.length < 2) return;
+    onSaveGroup(trimmedName, pendingMembers);
+    setPending([]);
+    setGroupName('');
+    setQuery('');
+    setOpen(false);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setOpen(true);
+      setActiveIndex(i => Math.min(i + 1, suggestions.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (event.ctrlKey || event.metaKey) {
+        commitPending();
+      } else if (suggestions[activeIndex]) {
+        togglePending(suggestions[activeIndex].code);
+      } else {
+        // Enter on an empty query adds the selection
+        commitPending();
+      }
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+      inputRef.current?.blur();
+    } else if (event.key === 'Backspace' && !query && pending.length) {
+      setPending(prev => prev.slice(0, -1));
+    }
+  };
+
+  // Presets replace the comparison set; groups larger than the limit keep
+  // their members with the most papers in the active period
+  const presets = useMemo(() => {
+    const top = countries.map(c => c.code).sort(byPapers).slice(0, maxCompared);
+    const list = [{ id: 'top', label: `Top ${maxCompared}`, codes: top, size: top.length,
+      title: `Top ${maxCompared} countries by papers in ${formatYearSpan(yearSpan)}` }];
+    Object.entries(COUNTRY_GROUPS).forEach(([name, members]) => {
+      const known = members.filter(c => nameByCode.has(c));
+      list.push({
+        id: name,
+        label: name,
+        codes: [...known].sort(byPapers).slice(0, maxCompared),
+        size: known.length,
+        title: known.length > maxCompared
+          ? `${name}: the ${maxCompared} of ${known.length} members with the most papers in ${formatYearSpan(yearSpan)}`
+          : `${name} members`,
+      });
+    });
+    return list;
+  }, [countries, nameByCode, papers, maxCompared, yearSpan]);
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <span className="text-xs font-mono text-viz-muted uppercase tracking-wider mr-2">Countries</span>
+
+      <div ref={containerRef} className="relative">
+        <div
+          className="flex items-center flex-wrap gap-1 min-w-[220px] max-w-[360px] bg-viz-border rounded px-1.5 py-1 border border-viz-border focus-within:border-viz-accent"
+          onClick={() => inputRef.current?.focus()}
+        >
+          {pending.map(code => (
+            <span key={code} className="inline-flex items-center gap-1 px-1.5 bg-viz-surface rounded text-[11px] font-mono">
+              {code}
+              <button
+                onClick={(e) => { e.stopPropagation(); togglePending(code); }}
+                className="text-viz-muted hover:text-viz-highlight"
+                aria-label={`Unselect ${nameByCode.get(code)}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+            onFocus={() => setOpen(true)}
+            onKeyDown={handleKeyDown}
+            placeholder={pending.length ? '' : 'Search name or code…'}
+            className="flex-1 min-w-[80px] bg-transparent text-xs font-mono text-viz-text outline-none placeholder:text-viz-muted"
+            role="combobox"
+            aria-expanded={open && suggestions.length > 0}
+            aria-controls="country-picker-list"
+            aria-activedescendant={suggestions[activeIndex] ? `country-option-${suggestions[activeIndex].code}` : undefined}
+            aria-label="Search countries to compare"
+          />
+        </div>
+
+        {open && (suggestions.length > 0 || pending.length > 0) && (
+          <div className="absolute left-0 mt-1 z-30 w-[280px] rounded border border-viz-border bg-viz-surface shadow-lg">
+            <ul id="country-picker-list" role="listbox" aria-multiselectable="true" className="py-1 max-h-64 overflow-y-auto">
+              {suggestions.map((c, i) => {
+                const compared = comparedCountries.includes(c.code);
+                const selected = pending.includes(c.code);
+                return (
+                  <li
+                    key={c.code}
+                    id={`country-option-${c.code}`}
+                    role="option"
+                    aria-selected={selected}
+                    aria-disabled={compared}
+                    onMouseEnter={() => setActiveIndex(i)}
+                    onMouseDown={(e) => { e.preventDefault(); togglePending(c.code); }}
+                    className={`flex items-center gap-2 px-3 py-1 text-xs cursor-pointer ${
+                      i === activeIndex ? 'bg-viz-border' : ''
+                    } ${compared ? 'opacity-50 cursor-default' : ''}`}
+                  >
+                    <span className={`w-3 h-3 rounded-sm border border-viz-muted flex items-center justify-center text-[9px] ${
+                      selected ? 'bg-viz-accent border-viz-accent text-viz-bg' : ''
+                    }`}>
+                      {selected || compared ? '✓' : ''}
+                    </span>
+                    <span className="flex-1 truncate">{c.name}</span>
+                    {c.kind && (
+                      <span className="text-[10px] text-viz-muted">{GROUP_KIND_LABELS[c.kind]} · {c.size}</span>
+                    )}
+                    {c.kind === 'custom' ? (
+                      <button
+                        onMouseDown={(e) => { e.preventDefault(); e.stopPropagation(); onDeleteGroup(c.code); }}
+                        className="text-viz-muted hover:text-viz-highlight"
+                        aria-label={`Delete group ${c.name}`}
+                        title="Delete this group"
+                      >
+                        ×
+                      </button>
+                    ) : (
+                      <span className="font-mono text-viz-muted">{c.kind ? '' : c.code}</span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {pendingMembers.length >= 2 && (
+              <div className="px-3 py-1.5 border-t border-viz-border">
+                <div className="flex items-center gap-2">
+                  <input
+                    value={groupName}
+                    onChange={(e) => setGroupName(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') saveGroup(); }}
+                    maxLength={MAX_GROUP_NAME}
+                    placeholder="Group name"
+                    className="flex-1 min-w-0 bg-viz-border rounded px-1.5 py-0.5 text-[11px] font-mono text-viz-text outline-none border border-viz-border focus:border-viz-accent"
+                    aria-label="Name for a group of the selected countries"
+                  />
+                  <button
+                    onClick={saveGroup}
+                    disabled={!trimmedName || !!groupNameError}
+                    className="viz-button px-2 py-0.5 text-[10px] disabled:opacity-40"
+                    title="Compare the selected countries as one group"
+                  >
+                    Save as group
+                  </button>
+                </div>
+                {groupNameError && <p className="mt-1 text-[10px] text-viz-highlight">{groupNameError}</p>}
+              </div>
+            )}
+            <div className="flex items-center justify-between gap-2 px-3 py-1.5 border-t border-viz-border">
+              <span className="text-[10px] text-viz-muted font-mono">↑↓ move · Enter select · Ctrl+Enter add</span>
+              <button
+                onClick={() => commitPending()}
+                disabled={!pending.length}
+                className="viz-button px-2 py-0.5 text-[10px] disabled:opacity-40"
+              >
+                Add {pending.length || ''}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {presets.map(preset => (
+        <button
+          key={preset.id}
+          onClick={() => onComparisonsChange(preset.codes)}
+          className="viz-button px-2 py-1 text-[11px]"
+          title={preset.title}
+        >
+          {preset.label}
+          {preset.size > maxCompared && <span className="text-viz-muted"> ({maxCompared}/{preset.size})</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
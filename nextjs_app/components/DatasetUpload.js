@@ -0,0 +1,270 @@
+'use client';
+
+import { useMemo, useRef, useState } from 'react';
+import {
+  DATASET_KINDS,
+  DATASET_KIND_ORDER,
+  MAX_FILE_BYTES,
+  readDatasetFile,
+  guessColumnMapping,
+  validateTable,
+  validateNodeLink,
+  buildDataset,
+} from '../lib/datasetImport';
+import { MIN_YEAR, MAX_YEAR } from '../lib/dataUtils';
+
+/**
+ * One file slot: drop zone or picker, then column mapping and the
+ * validation result
+ */
+function FileSlot({ kind, file, result, onFile, onMappingChange, onClear, theme }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const config = DATASET_KINDS[kind];
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    const dropped = event.dataTransfer.files?.[0];
+    if (dropped) onFile(dropped);
+  };
+
+  return (
+    <section className="border border-viz-border rounded p-3 mb-3">
+      <div className="flex items-baseline justify-between gap-2 mb-1">
+        <h3 className="font-display text-sm font-semibold">
+          {config.label}
+          {!config.required && <span className="text-viz-muted font-normal"> (optional)</span>}
+        </h3>
+        {file && (
+          <button onClick={onClear} className="text-[10px] font-mono text-viz-muted hover:text-viz-highlight">
+            Remove
+          </button>
+        )}
+      </div>
+      <p className="text-[11px] text-viz-muted mb-2">{config.description}</p>
+
+      {!file?.table && !file?.json && (
+        <div
+          onDragOver={(event) => { event.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => inputRef.current?.click()}
+          className={`rounded border border-dashed px-3 py-4 text-center text-[11px] font-mono cursor-pointer ${
+            dragging ? 'border-viz-accent text-viz-accent' : 'border-viz-border text-viz-muted'
+          }`}
+        >
+          Drop a {config.fields ? 'CSV or JSON' : 'JSON'} file here, or click to choose one
+          <input
+            ref={inputRef}
+            type="file"
+            accept={config.fields ? '.csv,.json,text/csv,application/json' : '.json,application/json'}
+            className="hidden"
+            onChange={(event) => {
+              if (event.target.files?.[0]) onFile(event.target.files[0]);
+              event.target.value = '';
+            }}
+          />
+        </div>
+      )}
+
+      {file?.error && (
+        <p className="text-[11px] font-mono mt-2" style={{ color: theme.negative }}>
+          {file.name ? `${file.name}: ` : ''}{file.error}
+        </p>
+      )}
+
+      {file?.table && (
+        <>
+          <div className="text-[11px] font-mono text-viz-subtle mb-2">
+            {file.name} · {file.table.records.length.toLocaleString()} rows
+          </div>
+          <div className="grid grid-cols-2 gap-x-3 gap-y-1 mb-2">
+            {config.fields.map((field) => (
+              <label key={field.key} className="flex items-center justify-between gap-2 text-[11px] font-mono">
+                <span className="text-viz-muted">
+                  {field.label}{field.required ? '' : ' (optional)'}
+                </span>
+                <select
+                  value={file.mapping[field.key]}
+                  onChange={(e) => onMappingChange({ ...file.mapping, [field.key]: e.target.value })}
+                  className="bg-viz-border text-viz-text text-xs font-mono rounded px-1.5 py-0.5 border border-viz-border max-w-[140px]"
+                >
+                  <option value="">—</option>
+                  {file.table.columns.map((column) => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+
+      {result && <ValidationSummary result={result} theme={theme} />}
+    </section>
+  );
+}
+
+/**
+ * Valid row count plus the row-level errors
+ */
+function ValidationSummary({ result, theme }) {
+  if (result.unmapped?.length) {
+    return (
+      <p className="text-[11px] font-mono" style={{ color: theme.warning }}>
+        Choose a column for {result.unmapped.join(', ')}
+      </p>
+    );
+  }
+
+  const listed = result.errors.length;
+  return (
+    <div className="text-[11px] font-mono">
+      <p style={{ color: result.valid ? theme.positive : theme.negative }}>
+        {result.valid.toLocaleString()} valid {result.unit}
+        {result.errorCount > 0 && (
+          <span style={{ color: theme.negative }}>
+            {' '}· {result.errorCount.toLocaleString()} with errors, skipped
+          </span>
+        )}
+      </p>
+      {listed > 0 && (
+        <ul className="mt-1 max-h-32 overflow-y-auto text-viz-subtle">
+          {result.errors.map((e, i) => (
+            <li key={i}>
+              <span className="text-viz-muted">{e.where}:</span> {e.message}
+            </li>
+          ))}
+          {result.errorCount > listed && (
+            <li className="text-viz-muted">…and {(result.errorCount - listed).toLocaleString()} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Header control for loading a user dataset in place of the built-in
+ * files, and for switching back to them
+ */
+export default function DatasetUpload({ dataset, builtinSummary, onLoad, onReset, theme }) {
+  const [open, setOpen] = useState(false);
+  const [files, setFiles] = useState({});
+
+  const setFile = (kind, file) => setFiles((prev) => ({ ...prev, [kind]: file }));
+
+  const handleFile = async (kind, file) => {
+    if (file.size > MAX_FILE_BYTES) {
+      setFile(kind, { name: file.name, error: `Larger than ${MAX_FILE_BYTES / 1024 / 1024} MB` });
+      return;
+    }
+    try {
+      const parsed = readDatasetFile(await file.text(), file.name, kind);
+      setFile(kind, parsed.json
+        ? { name: file.name, json: parsed.json }
+        : { name: file.name, table: parsed, mapping: guessColumnMapping(parsed.columns, kind) });
+    } catch (err) {
+      setFile(kind, { name: file.name, error: err.message });
+    }
+  };
+
+  // Validation per file, rerun when its mapping changes
+  const results = useMemo(() => {
+    const out = {};
+    DATASET_KIND_ORDER.forEach((kind) => {
+      const file = files[kind];
+      if (file?.table) {
+        const result = validateTable(file.table, file.mapping, kind);
+        out[kind] = { ...result, valid: result.rows.length, unit: 'rows' };
+      } else if (file?.json) {
+        const result = validateNodeLink(file.json);
+        out[kind] = { ...result, valid: Object.keys(result.graphs).length, unit: 'countries' };
+      }
+    });
+    return out;
+  }, [files]);
+
+  const main = results['country-year'];
+  const canLoad = main?.valid > 0;
+  const skipped = DATASET_KIND_ORDER.reduce((sum, kind) => sum + (results[kind]?.errorCount || 0), 0);
+
+  const handleLoad = () => {
+    const names = new Map(builtinSummary.map((c) => [c.country_code, c.country]));
+    onLoad(buildDataset({
+      name: files['country-year'].name,
+      countryYear: main.rows,
+      subfield: results.subfield?.rows || [],
+      nodeLink: results.nodelink?.graphs || {},
+    }, names));
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <div className="flex items-center gap-2">
+        {dataset && (
+          <span className="text-xs font-mono text-viz-subtle" title="Loaded from your files; not saved">
+            Data: <span className="text-viz-accent">{dataset.name}</span>
+          </span>
+        )}
+        <button onClick={() => setOpen(true)} className="viz-button px-3 py-1">
+          Load data…
+        </button>
+        {dataset && (
+          <button onClick={onReset} className="viz-button px-3 py-1">
+            Built-in data
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+          onMouseDown={(event) => { if (event.target === event.currentTarget) setOpen(false); }}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-label="Load a dataset"
+            className="w-full max-w-2xl max-h-[85vh] overflow-y-auto rounded border border-viz-border bg-viz-surface shadow-lg p-4"
+          >
+            <h2 className="font-display text-lg font-semibold mb-1">Load a dataset</h2>
+            <p className="text-xs text-viz-muted mb-3">
+              Files in the shape of the built-in data replace it in every view until you switch back.
+              Years outside {MIN_YEAR}–{MAX_YEAR} are skipped. Population, GDP and country names still come
+              from the built-in reference data, and collaboration flows are hidden. Nothing is uploaded to a server.
+            </p>
+
+            {DATASET_KIND_ORDER.map((kind) => (
+              <FileSlot
+                key={kind}
+                kind={kind}
+                file={files[kind]}
+                result={results[kind]}
+                onFile={(file) => handleFile(kind, file)}
+                onMappingChange={(mapping) => setFile(kind, { ...files[kind], mapping })}
+                onClear={() => setFile(kind, null)}
+                theme={theme}
+              />
+            ))}
+
+            <div className="flex items-center justify-end gap-2">
+              <button onClick={() => setOpen(false)} className="viz-button px-3 py-1">
+                Cancel
+              </button>
+              <button
+                onClick={handleLoad}
+                disabled={!canLoad}
+                className="viz-button active px-3 py-1 disabled:opacity-40"
+              >
+                {skipped > 0 ? `Use dataset (skip ${skipped.toLocaleString()} invalid)` : 'Use dataset'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,68 @@
+'use client';
+
+import { useRef, useEffect, useState } from 'react';
+
+/**
+ * Small "Export" dropdown for a panel.
+ * items: [{ label, onSelect, disabled }]
+ */
+export default function ExportMenu({ items }) {
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (event) => {
+      if (!menuRef.current?.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleSelect = async (item) => {
+    setOpen(false);
+    setBusy(true);
+    try {
+      await item.onSelect();
+    } catch (err) {
+      console.error('Export error:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        disabled={busy}
+        className={`viz-button px-2 py-0.5 text-[10px] ${open ? 'active' : ''}`}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {busy ? 'Exporting…' : 'Export ▾'}
+      </button>
+
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-1 z-20 min-w-[120px] rounded border border-viz-border bg-viz-surface shadow-lg py-1"
+        >
+          {items.map((item) => (
+            <button
+              key={item.label}
+              role="menuitem"
+              disabled={item.disabled}
+              onClick={() => handleSelect(item)}
+              className="block w-full text-left px-3 py-1 text-[11px] font-mono text-viz-text hover:bg-viz-border disabled:opacity-40 disabled:hover:bg-transparent"
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
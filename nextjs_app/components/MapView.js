@@ -3,152 +3,265 @@
 import { useRef, useEffect, useMemo, useState } from 'react';
 import * as d3 from 'd3';
 import * as topojson from 'topojson-client';
+import {
+  getYearSpan,
+  formatYearSpan,
+  sumPapersByCountry,
+  computeGrowthByCountry,
+  partialYearsIn,
+} from '../lib/dataUtils';
+import { VIEW_MODE_CONFIG, buildReferenceMap, computeModeValues } from '../lib/viewModes';
+import { computeBreaks, classColors } from '../lib/classification';
+import { sumCollaborations, topPartners } from '../lib/collaboration';
+import { computeMetrics, formatMetric } from '../lib/metrics';
+import { featureCode, mapCoverage } from '../lib/geoCodes';
+import { exportMetadata, downloadCSV, downloadJSON, downloadSVG, downloadPNG } from '../lib/exportUtils';
+import ExportMenu from './ExportMenu';
 
-// Color scales
-const PAPER_COUNT_COLORS = ['#0a0e1a', '#0c4a6e', '#0891b2', '#22d3ee', '#a5f3fc'];
-const GROWTH_COLORS = ['#be123c', '#881337', '#0a0e1a', '#0e7490', '#22d3ee'];
-
-// ISO 3166-1 numeric to alpha-2 mapping (comprehensive)
-const NUMERIC_TO_ALPHA2 = {
-  "4": "AF", "8": "AL", "12": "DZ", "20": "AD", "24": "AO", "28": "AG", "32": "AR",
-  "36": "AU", "40": "AT", "44": "BS", "48": "BH", "50": "BD", "51": "AM", "56": "BE",
-  "64": "BT", "68": "BO", "70": "BA", "72": "BW", "76": "BR", "84": "BZ", "90": "SB",
-  "96": "BN", "100": "BG", "104": "MM", "108": "BI", "112": "BY", "116": "KH", "120": "CM",
-  "124": "CA", "140": "CF", "144": "LK", "148": "TD", "152": "CL", "156": "CN", "158": "TW",
-  "170": "CO", "178": "CG", "180": "CD", "188": "CR", "191": "HR", "192": "CU", "196": "CY",
-  "203": "CZ", "204": "BJ", "208": "DK", "214": "DO", "218": "EC", "222": "SV", "226": "GQ",
-  "231": "ET", "232": "ER", "233": "EE", "242": "FJ", "246": "FI", "250": "FR", "262": "DJ",
-  "266": "GA", "268": "GE", "270": "GM", "275": "PS", "276": "DE", "288": "GH", "300": "GR",
-  "320": "GT", "324": "GN", "328": "GY", "332": "HT", "340": "HN", "344": "HK", "348": "HU",
-  "352": "IS", "356": "IN", "360": "ID", "364": "IR", "368": "IQ", "372": "IE", "376": "IL",
-  "380": "IT", "384": "CI", "388": "JM", "392": "JP", "398": "KZ", "400": "JO", "404": "KE",
-  "408": "KP", "410": "KR", "414": "KW", "417": "KG", "418": "LA", "422": "LB", "426": "LS",
-  "428": "LV", "430": "LR", "434": "LY", "440": "LT", "442": "LU", "450": "MG", "454": "MW",
-  "458": "MY", "462": "MV", "466": "ML", "470": "MT", "478": "MR", "480": "MU", "484": "MX",
-  "496": "MN", "498": "MD", "499": "ME", "504": "MA", "508": "MZ", "512": "OM", "516": "NA",
-  "524": "NP", "528": "NL", "540": "NC", "548": "VU", "554": "NZ", "558": "NI", "562": "NE",
-  "566": "NG", "578": "NO", "586": "PK", "591": "PA", "598": "PG", "600": "PY", "604": "PE",
-  "608": "PH", "616": "PL", "620": "PT", "630": "PR", "634": "QA", "642": "RO", "643": "RU",
-  "646": "RW", "682": "SA", "686": "SN", "688": "RS", "694": "SL", "702": "SG", "703": "SK",
-  "704": "VN", "705": "SI", "706": "SO", "710": "ZA", "716": "ZW", "724": "ES", "728": "SS",
-  "729": "SD", "732": "EH", "740": "SR", "752": "SE", "756": "CH", "760": "SY", "762": "TJ",
-  "764": "TH", "768": "TG", "780": "TT", "784": "AE", "788": "TN", "792": "TR", "795": "TM",
-  "800": "UG", "804": "UA", "807": "MK", "818": "EG", "826": "GB", "834": "TZ", "840": "US",
-  "854": "BF", "858": "UY", "860": "UZ", "862": "VE", "887": "YE", "894": "ZM"
+// Fill transition between years; faster playback steps shorten it (see
+// fillTransitionMs) so each one finishes before the next year starts
+const FILL_TRANSITION_MS = 600;
+
+// Cartogram layout: force ticks per update and the pull back to the centroid
+const DORLING_TICKS = 120;
+const DORLING_STRENGTH = 0.2;
+
+// Collaboration flows drawn from the selected country
+const TOP_PARTNERS = 8;
+const FLOW_BEND = 0.25; // control-point offset as a share of the flow length
+
+// Zoom limits and preset regions as [[west, south], [east, north]] in degrees
+const MAX_ZOOM = 40;
+const ZOOM_TRANSITION_MS = 750;
+const REGION_PRESETS = {
+  'Europe': [[-12, 35], [40, 71]],
+  'East Asia': [[98, 0], [146, 50]],
+  'Middle East': [[25, 12], [63, 42]],
+  'Americas': [[-170, -56], [-30, 72]],
+  'Africa': [[-20, -36], [55, 38]],
 };
 
+// Fills for countries off the colour scale (see missingState), in legend
+// order. The patterns are defined with the static layer.
+const MISSING_FILLS = {
+  zero: { label: 'Zero papers', fill: (theme) => theme.surface },
+  'no-data': { label: 'No data', fill: () => 'url(#map-no-data)' },
+  unmapped: { label: 'Unmapped shape', fill: () => 'url(#map-unmapped)' },
+};
+
+/**
+ * The largest polygon of a (Multi)Polygon feature, by projected area
+ */
+function largestPolygon(feature, path) {
+  if (feature.geometry?.type !== 'MultiPolygon') return feature;
+  return d3.greatest(
+    feature.geometry.coordinates.map(coordinates => ({ type: 'Polygon', coordinates })),
+    polygon => path.area(polygon)
+  );
+}
+
+/**
+ * Dorling cartogram: pull each circle towards its centroid while
+ * collisions push overlapping circles apart. Starts from the previous
+ * positions when available and records the new ones.
+ */
+function layoutDorling(nodes, previous) {
+  nodes.forEach(d => {
+    const last = previous.get(d.code);
+    d.x = last ? last.x : d.cx;
+    d.y = last ? last.y : d.cy;
+  });
+
+  const simulation = d3.forceSimulation(nodes)
+    .force('x', d3.forceX(d => d.cx).strength(DORLING_STRENGTH))
+    .force('y', d3.forceY(d => d.cy).strength(DORLING_STRENGTH))
+    .force('collide', d3.forceCollide(d => d.r + 0.5).iterations(3))
+    .stop();
+
+  for (let i = 0; i < DORLING_TICKS; i++) simulation.tick();
+
+  nodes.forEach(d => previous.set(d.code, { x: d.x, y: d.y }));
+}
+
 export default function MapView({
   data,
   summary,
   geoData,
   selectedYear,
+  yearRange,
   selectedCountry,
-  comparedCountries,
+  comparisonColors,
+  groups,
   hoveredCountry,
   viewMode,
+  mapType,
+  classification,
+  playbackInterval,
+  theme,
   selectedSubfield,
   subfieldData,
+  population,
+  gdp,
+  collaborations,
   onCountrySelect,
   onCountryHover,
 }) {
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
+  // Zoom actions for the overlay buttons, and the last transform so a
+  // rebuild (e.g. theme switch) keeps the current view
+  const zoomActionsRef = useRef(null);
+  const zoomTransformRef = useRef(d3.zoomIdentity);
+  // Projected symbol anchors per country, and the last cartogram layout
+  // (the next year's layout starts from it so circles drift, not jump)
+  const centroidsRef = useRef(new Map());
+  const dorlingPositionsRef = useRef(new Map());
   const [dimensions, setDimensions] = useState({ width: 800, height: 500 });
+  const [showCoverage, setShowCoverage] = useState(false);
 
-  // Build country names and summary lookup from our data
-  const { countryNames, summaryMap } = useMemo(() => {
-    const names = new Map();
-    const sMap = new Map();
-    summary.forEach(s => {
-      names.set(s.country_code, s.country);
-      sMap.set(s.country_code, s);
-    });
-    return { countryNames: names, summaryMap: sMap };
-  }, [summary]);
-
-  // Get alpha-2 code from TopoJSON numeric ID
-  const getCountryCode = (feature) => {
-    const numId = String(feature.id);
-    return NUMERIC_TO_ALPHA2[numId] || null;
-  };
+  // Build country names from our data
+  const countryNames = useMemo(
+    () => new Map(summary.map(s => [s.country_code, s.country])),
+    [summary]
+  );
 
   // Get display name for a feature
   const getDisplayName = (feature) => {
-    const code = getCountryCode(feature);
+    const code = featureCode(feature);
     if (code && countryNames.has(code)) {
       return countryNames.get(code);
     }
     if (feature.properties?.name) {
       return feature.properties.name;
     }
-    return code || 'Unknown';
+    return code || 'Unmapped area';
   };
 
-  // Get papers for selected year
+  // Active period: the brushed range, or the single selected year
+  const yearSpan = useMemo(
+    () => getYearSpan(selectedYear, yearRange),
+    [selectedYear, yearRange]
+  );
+  const periodLabel = formatYearSpan(yearSpan);
+  const isRange = yearSpan[0] !== yearSpan[1];
+  const partialYears = partialYearsIn(yearSpan);
+  const fillTransitionMs = Math.min(FILL_TRANSITION_MS, playbackInterval * 0.8);
+
+  // Get papers summed over the active period
   const yearData = useMemo(() => {
-    const map = new Map();
     const source = (selectedSubfield && subfieldData.length) 
       ? subfieldData.filter(d => d.subfield === selectedSubfield)
       : data;
     
-    source.filter(d => d.year === selectedYear)
-      .forEach(d => map.set(d.country_code, d.papers));
-    
-    return map;
-  }, [data, subfieldData, selectedYear, selectedSubfield]);
+    return sumPapersByCountry(source, yearSpan);
+  }, [data, subfieldData, yearSpan, selectedSubfield]);
+
+  // Rank, share and trend over the active period, for the tooltip
+  const metrics = useMemo(() => {
+    const rows = selectedSubfield && subfieldData.length ? subfieldData : data;
+    return computeMetrics(rows, { span: yearSpan, subfield: selectedSubfield });
+  }, [data, subfieldData, yearSpan, selectedSubfield]);
+
+  // Data rows whose country never reaches the map (no shape at this
+  // resolution, or a shape with no ISO code), so their papers are visible
+  // somewhere rather than silently dropped
+  const coverage = useMemo(
+    () => (geoData ? mapCoverage(geoData.objects.countries.geometries, data, countryNames) : null),
+    [geoData, data, countryNames]
+  );
 
-  // Calculate YoY growth rates
+  // Calculate growth rates: YoY for a single year, CAGR across a range
   const growthData = useMemo(() => {
-    const map = new Map();
-    const prevYear = selectedYear - 1;
-    
-    const current = new Map();
-    const prev = new Map();
-    
-    data.filter(d => d.year === selectedYear)
-      .forEach(d => current.set(d.country_code, d.papers));
-    data.filter(d => d.year === prevYear)
-      .forEach(d => prev.set(d.country_code, d.papers));
-    
-    current.forEach((papers, code) => {
-      const prevPapers = prev.get(code);
-      if (prevPapers && prevPapers > 0) {
-        const growth = ((papers - prevPapers) / prevPapers) * 100;
-        map.set(code, growth);
-      }
-    });
-    
-    return map;
-  }, [data, selectedYear]);
+    return computeGrowthByCountry(data, yearSpan);
+  }, [data, yearSpan]);
+
+  // Co-authorship per country pair over the active period
+  const collaborationPairs = useMemo(
+    () => sumCollaborations(collaborations, yearSpan),
+    [collaborations, yearSpan]
+  );
+
+  // Reference tables for the normalized modes, joined on country_code
+  const populationMap = useMemo(() => buildReferenceMap(population, 'population'), [population]);
+  const gdpMap = useMemo(() => buildReferenceMap(gdp, 'gdp_usd'), [gdp]);
+
+  // Value each country is coloured by in the current mode
+  const modeData = useMemo(() => computeModeValues(viewMode, {
+    papers: yearData,
+    growth: growthData,
+    population: populationMap,
+    gdp: gdpMap,
+  }), [viewMode, yearData, growthData, populationMap, gdpMap]);
+  const modeConfig = VIEW_MODE_CONFIG[viewMode];
+
+  // Positive extent of the mode values (log scales need a positive floor)
+  const modeExtent = useMemo(() => {
+    const values = Array.from(modeData.values()).filter(v => v > 0);
+    if (values.length === 0) return null;
+    // Paper counts keep their [1, max] domain so the legend starts at 0
+    return [viewMode === 'absolute' ? 1 : d3.min(values), d3.max(values)];
+  }, [modeData, viewMode]);
 
-  // Color scale based on viewMode
+  // Continuous growth domain centred on 0 and clipped to the 5th-95th
+  // percentile, so a few outliers don't flatten everything else
+  const growthDomain = useMemo(() => {
+    const values = Array.from(growthData.values()).sort(d3.ascending);
+    if (values.length === 0) return null;
+    return [
+      Math.min(d3.quantileSorted(values, 0.05), -1),
+      0,
+      Math.max(d3.quantileSorted(values, 0.95), 1),
+    ];
+  }, [growthData]);
+
+  // Class breaks when classed colouring is on, otherwise null
+  const classBreaks = useMemo(() => {
+    if (classification.type !== 'classed') return null;
+    const values = Array.from(modeData.values())
+      .filter(v => viewMode === 'growth' || v > 0);
+    return computeBreaks(classification, values);
+  }, [classification, modeData, viewMode]);
+
+  // Color scale based on viewMode and classification
   const colorScale = useMemo(() => {
+    if (classBreaks) {
+      // Skip the background-coloured first stop so the lowest class stays visible
+      const interpolator = viewMode === 'growth'
+        ? theme.diverging
+        : d3.interpolateRgbBasis(theme.sequential.slice(1));
+      return d3.scaleThreshold()
+        .domain(classBreaks)
+        .range(classColors(interpolator, classBreaks.length + 1));
+    }
     if (viewMode === 'growth') {
-      const values = Array.from(growthData.values());
-      if (values.length === 0) return () => '#0a0e1a';
-      return d3.scaleSequential(d3.interpolateRdYlGn)
-        .domain([-30, 60]);
+      if (!growthDomain) return () => theme.bg;
+      return d3.scaleDiverging(theme.diverging)
+        .domain(growthDomain)
+        .clamp(true);
     } else {
-      const values = Array.from(yearData.values()).filter(v => v > 0);
-      if (values.length === 0) return () => '#0a0e1a';
-      return d3.scaleSequentialLog(d3.interpolateRgbBasis(PAPER_COUNT_COLORS))
-        .domain([1, d3.max(values)]);
+      if (!modeExtent) return () => theme.bg;
+      return d3.scaleSequentialLog(d3.interpolateRgbBasis(theme.sequential))
+        .domain(modeExtent);
     }
-  }, [yearData, growthData, viewMode]);
+  }, [classBreaks, growthDomain, modeExtent, viewMode, theme]);
+
+  // Why a country has no colour on the scale, or null when it has one:
+  // - 'unmapped': the shape has no country code, so no data can join it
+  // - 'no-data': no record for the period (or no growth base, population
+  //   or GDP for the mode)
+  // - 'zero': a record with zero papers
+  const missingState = (code) => {
+    if (!code) return 'unmapped';
+    if (!yearData.has(code) || !modeData.has(code)) return 'no-data';
+    if (viewMode !== 'growth' && modeData.get(code) <= 0) return 'zero';
+    return null;
+  };
 
   // Get color for a country code
   const getColor = (code) => {
-    if (!code) return '#0a0e1a';
-    
-    if (viewMode === 'growth') {
-      const growth = growthData.get(code);
-      if (growth === undefined) return '#0a0e1a';
-      return colorScale(growth);
-    } else {
-      const papers = yearData.get(code);
-      if (!papers || papers <= 0) return '#0a0e1a';
-      return colorScale(papers);
-    }
+    const state = missingState(code);
+    if (state) return MISSING_FILLS[state].fill(theme);
+    return colorScale(modeData.get(code));
   };
 
   // Resize observer
@@ -165,7 +278,7 @@ export default function MapView({
     return () => observer.disconnect();
   }, []);
 
-  // Main drawing effect
+  // Static layer: rebuilt only when the geometry or the panel size changes
   useEffect(() => {
     if (!svgRef.current || !geoData) return;
 
@@ -187,161 +300,740 @@ export default function MapView({
     svg.append('rect')
       .attr('width', width)
       .attr('height', height)
-      .attr('fill', '#0a0e1a');
+      .attr('fill', theme.bg);
+
+    // Hatching for countries with no data, cross-hatching for shapes that
+    // can't be joined to a country
+    const defs = svg.append('defs');
+    [['map-no-data', [0]], ['map-unmapped', [0, 90]]].forEach(([id, angles]) => {
+      const pattern = defs.append('pattern')
+        .attr('id', id)
+        .attr('width', 6)
+        .attr('height', 6)
+        .attr('patternUnits', 'userSpaceOnUse')
+        .attr('patternTransform', 'rotate(45)');
+      pattern.append('rect')
+        .attr('width', 6)
+        .attr('height', 6)
+        .attr('fill', theme.bg);
+      angles.forEach(angle => {
+        pattern.append('line')
+          .attr('y2', 6)
+          .attr('transform', `rotate(${angle} 3 3)`)
+          .attr('stroke', theme.muted)
+          .attr('stroke-opacity', 0.5)
+          .attr('stroke-width', 1);
+      });
+    });
+
+    // Everything geographic sits in one layer that d3.zoom transforms.
+    // Strokes don't scale, so borders stay hairlines when zoomed in.
+    const zoomLayer = svg.append('g').attr('class', 'zoom-layer');
 
     // Graticule
     const graticule = d3.geoGraticule();
-    svg.append('path')
+    zoomLayer.append('path')
       .datum(graticule())
       .attr('d', path)
       .attr('fill', 'none')
-      .attr('stroke', '#1e2a45')
-      .attr('stroke-width', 0.3);
+      .attr('stroke', theme.border)
+      .attr('stroke-width', 0.3)
+      .attr('vector-effect', 'non-scaling-stroke');
 
-    // Draw countries
-    const countryPaths = svg.selectAll('.country')
+    // Countries start empty and are filled by the data layer
+    zoomLayer.append('g')
+      .attr('class', 'countries')
+      .selectAll('.country')
       .data(countries.features)
       .join('path')
       .attr('class', 'country')
       .attr('d', path)
-      .attr('fill', d => getColor(getCountryCode(d)))
-      .attr('stroke', d => {
-        const code = getCountryCode(d);
-        if (code === selectedCountry) return '#f472b6';
-        if (comparedCountries.includes(code)) return '#22d3ee';
-        return '#1e2a45';
-      })
-      .attr('stroke-width', d => {
-        const code = getCountryCode(d);
-        if (code === selectedCountry) return 2;
-        if (comparedCountries.includes(code)) return 1.5;
-        return 0.5;
-      })
+      .attr('fill', theme.bg)
+      .attr('vector-effect', 'non-scaling-stroke')
       .style('cursor', 'pointer');
 
+    // Symbol anchors: centroid of each country's largest polygon, so
+    // overseas territories don't pull e.g. France into the Atlantic
+    const centroids = new Map();
+    countries.features.forEach(feature => {
+      const code = featureCode(feature);
+      if (!code || centroids.has(code)) return;
+      const [x, y] = path.centroid(largestPolygon(feature, path));
+      if (Number.isFinite(x) && Number.isFinite(y)) {
+        centroids.set(code, { x, y, feature });
+      }
+    });
+    centroidsRef.current = centroids;
+    dorlingPositionsRef.current = new Map();
+
+    // Proportional symbols and cartogram circles, drawn by the data layer
+    zoomLayer.append('g').attr('class', 'symbols');
+
+    // Collaboration flows sit on top of both
+    zoomLayer.append('g').attr('class', 'flows');
+
+    svg.append('g').attr('class', 'legend');
+
+    // Zoom and pan
+    const zoom = d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .translateExtent([[0, 0], [width, height]])
+      .on('zoom', (event) => {
+        zoomTransformRef.current = event.transform;
+        zoomLayer.attr('transform', event.transform);
+      });
+
+    svg.call(zoom)
+      .on('dblclick.zoom', null); // double-click zooms to a country instead
+
+    svg.call(zoom.transform, zoomTransformRef.current);
+
+    // Fit a projected bounding box into the panel
+    const zoomToBounds = ([[x0, y0], [x1, y1]]) => {
+      const scale = Math.min(
+        MAX_ZOOM,
+        0.9 / Math.max((x1 - x0) / width, (y1 - y0) / height)
+      );
+      const transform = d3.zoomIdentity
+        .translate(width / 2, height / 2)
+        .scale(Math.max(1, scale))
+        .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+      svg.transition().duration(ZOOM_TRANSITION_MS).call(zoom.transform, transform);
+    };
+
+    zoomActionsRef.current = {
+      reset: () => {
+        svg.transition().duration(ZOOM_TRANSITION_MS).call(zoom.transform, d3.zoomIdentity);
+      },
+      region: (name) => {
+        const [[west, south], [east, north]] = REGION_PRESETS[name];
+        // Sample the box edges: the projection bends its sides
+        const points = d3.range(0, 1.0001, 0.25).flatMap((t) => [
+          [west + (east - west) * t, south],
+          [west + (east - west) * t, north],
+          [west, south + (north - south) * t],
+          [east, south + (north - south) * t],
+        ]);
+        zoomToBounds(path.bounds({ type: 'MultiPoint', coordinates: points }));
+      },
+      feature: (feature) => zoomToBounds(path.bounds(feature)),
+    };
+  }, [geoData, dimensions, theme]);
+
+  // Data layer: transitions fills between years so playback animates
+  // smoothly, restyles strokes and rebinds the handlers
+  useEffect(() => {
+    if (!svgRef.current || !geoData) return;
+
+    const svg = d3.select(svgRef.current);
+    const { width, height } = dimensions;
+    const countryPaths = svg.selectAll('.country');
+    const showSymbols = mapType !== 'choropleth';
+
+    // Stroke styling shared by country shapes and symbols
+    // Compared countries are outlined in their series colour (the
+    // selected one more heavily); a selected country outside the
+    // comparison set uses the highlight colour. Members of a compared
+    // group share the group's colour, and members of a selected group
+    // are all outlined as selected.
+    const selectedMembers = new Set(groups.get(selectedCountry)?.members);
+    const memberGroup = new Map();
+    comparisonColors.forEach((color, code) => {
+      groups.get(code)?.members.forEach((member) => {
+        if (!memberGroup.has(member)) memberGroup.set(member, code);
+      });
+    });
+    const strokeColor = (code) => {
+      if (comparisonColors.has(code)) return comparisonColors.get(code);
+      if (code === selectedCountry) return theme.highlight;
+      if (memberGroup.has(code)) return comparisonColors.get(memberGroup.get(code));
+      if (selectedMembers.has(code)) return theme.highlight;
+      return theme.border;
+    };
+    const strokeWidth = (code) => {
+      if (code === selectedCountry || selectedMembers.has(code)) return 2.5;
+      if (comparisonColors.has(code) || memberGroup.has(code)) return 1.5;
+      return 0.5;
+    };
+    // The group a shift-click on a member selects
+    const groupFor = (code) => memberGroup.get(code) || (selectedMembers.has(code) ? selectedCountry : null);
+
+    // In the symbol modes the land is a neutral backdrop; the cartogram
+    // fades it further so the displaced circles read as the map
+    // Patterns can't be interpolated, so fills to or from one switch at once
+    countryPaths
+      .transition('fill')
+      .duration(fillTransitionMs)
+      .attrTween('fill', function(d) {
+        const from = this.getAttribute('fill');
+        const to = showSymbols ? theme.surface : getColor(featureCode(d));
+        return from.startsWith('url') || to.startsWith('url') ? () => to : d3.interpolate(from, to);
+      })
+      .attr('opacity', mapType === 'dorling' ? 0.35 : 1);
+
+    countryPaths
+      .attr('stroke', d => strokeColor(featureCode(d)))
+      .attr('stroke-width', d => strokeWidth(featureCode(d)));
+
+    // Proportional symbols: circle area follows papers, fill follows the
+    // current view mode
+    const maxPapers = d3.max(Array.from(yearData.values())) || 1;
+    const maxRadius = Math.min(width, height) / (mapType === 'dorling' ? 9 : 12);
+    const radius = d3.scaleSqrt().domain([0, maxPapers]).range([0, maxRadius]);
+
+    let symbols = [];
+    if (showSymbols) {
+      symbols = Array.from(centroidsRef.current, ([code, c]) => ({
+        code,
+        feature: c.feature,
+        cx: c.x,
+        cy: c.y,
+        r: yearData.get(code) > 0 ? Math.max(1.5, radius(yearData.get(code))) : 0,
+      }))
+        .filter(d => d.r > 0)
+        .sort((a, b) => b.r - a.r); // small circles drawn last, on top
+
+      if (mapType === 'dorling') {
+        layoutDorling(symbols, dorlingPositionsRef.current);
+      } else {
+        symbols.forEach(d => { d.x = d.cx; d.y = d.cy; });
+      }
+    }
+
+    const circles = svg.select('.symbols')
+      .selectAll('.symbol')
+      .data(symbols, d => d.code)
+      .join(
+        enter => enter.append('circle')
+          .attr('class', 'symbol')
+          .attr('cx', d => d.x)
+          .attr('cy', d => d.y)
+          .attr('r', 0)
+          .attr('vector-effect', 'non-scaling-stroke')
+          .style('cursor', 'pointer'),
+        update => update,
+        exit => exit.transition().duration(fillTransitionMs).attr('r', 0).remove()
+      )
+      .order();
+
+    circles
+      .transition('fill')
+      .duration(fillTransitionMs)
+      .attr('cx', d => d.x)
+      .attr('cy', d => d.y)
+      .attr('r', d => d.r)
+      .attr('fill', d => getColor(d.code))
+      .attr('fill-opacity', 0.85);
+
+    circles
+      .attr('stroke', d => strokeColor(d.code))
+      .attr('stroke-width', d => strokeWidth(d.code));
+
     // Tooltip
     const tooltip = d3.select(tooltipRef.current);
 
-    countryPaths
-      .on('mouseenter', function(event, d) {
-        const code = getCountryCode(d);
-        const name = getDisplayName(d);
-        const papers = yearData.get(code);
-        const growth = growthData.get(code);
-        const info = summaryMap.get(code);
+    // Collaboration flows: curved lines from the selected country to its
+    // top partners, width by co-authored papers
+    const anchorOf = (code) => (mapType === 'dorling' && dorlingPositionsRef.current.get(code))
+      || centroidsRef.current.get(code);
+    const origin = selectedCountry && anchorOf(selectedCountry);
+    const flows = origin
+      ? topPartners(collaborationPairs, selectedCountry, TOP_PARTNERS)
+        .filter(p => anchorOf(p.code))
+      : [];
+    const flowWidth = d3.scaleSqrt()
+      .domain([0, d3.max(flows, d => d.papers) || 1])
+      .range([0.5, 6]);
 
-        onCountryHover(code);
-        
-        d3.select(this).raise()
-          .attr('stroke', '#22d3ee')
-          .attr('stroke-width', 2);
+    const flowPath = (d) => {
+      const { x: x0, y: y0 } = origin;
+      const { x: x1, y: y1 } = anchorOf(d.code);
+      // Bow every flow upwards so lines to nearby partners don't overlap
+      let cx = (x0 + x1) / 2 - (y1 - y0) * FLOW_BEND;
+      let cy = (y0 + y1) / 2 + (x1 - x0) * FLOW_BEND;
+      if (cy > (y0 + y1) / 2) {
+        cx = x0 + x1 - cx;
+        cy = y0 + y1 - cy;
+      }
+      return `M${x0},${y0}Q${cx},${cy} ${x1},${y1}`;
+    };
 
-        let html = `<div class="country-name">${name}</div>`;
-        html += `<div class="stat-row"><span class="stat-label">Papers (${selectedYear})</span>`;
-        html += `<span class="stat-value">${papers?.toLocaleString() || 'N/A'}</span></div>`;
-        
-        if (growth !== undefined) {
-          const color = growth >= 0 ? '#4ade80' : '#f87171';
-          html += `<div class="stat-row"><span class="stat-label">YoY Growth</span>`;
-          html += `<span class="stat-value" style="color:${color}">${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%</span></div>`;
-        }
-        
-        if (info) {
-          html += `<div class="stat-row"><span class="stat-label">Total Papers</span>`;
-          html += `<span class="stat-value">${info.total_papers?.toLocaleString()}</span></div>`;
-        }
+    svg.select('.flows')
+      .selectAll('.flow')
+      .data(flows, d => d.code)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'flow')
+          .attr('fill', 'none')
+          .attr('stroke-linecap', 'round')
+          .attr('vector-effect', 'non-scaling-stroke')
+          .attr('stroke-opacity', 0)
+          .attr('d', flowPath),
+        update => update,
+        exit => exit.remove()
+      )
+      .attr('stroke', theme.accent)
+      .on('mouseenter', (event, d) => {
+        const name = code => countryNames.get(code) || code;
+        tooltip.style('opacity', 1)
+          .style('left', (event.offsetX + 15) + 'px')
+          .style('top', (event.offsetY + 15) + 'px')
+          .html(
+            `<div class="country-name">${name(selectedCountry)} ↔ ${name(d.code)}</div>` +
+            `<div class="stat-row"><span class="stat-label">Co-authored (${periodLabel})</span>` +
+            `<span class="stat-value">${d.papers.toLocaleString()}</span></div>`
+          );
+      })
+      .on('mousemove', event => {
+        tooltip.style('left', (event.offsetX + 15) + 'px')
+          .style('top', (event.offsetY + 15) + 'px');
+      })
+      .on('mouseleave', () => tooltip.style('opacity', 0))
+      .transition('fill')
+      .duration(fillTransitionMs)
+      .attr('d', flowPath)
+      .attr('stroke-width', d => flowWidth(d.papers))
+      .attr('stroke-opacity', 0.75);
+
+    const showTooltip = (event, code, feature) => {
+      const name = getDisplayName(feature);
+      const papers = yearData.get(code);
+      const growth = growthData.get(code);
+      const m = metrics.get(code);
+      const note = (text) => `<div class="stat-row"><span class="stat-label">${text}</span></div>`;
+
+      let html = `<div class="country-name">${name}</div>`;
 
+      if (!code) {
+        html += note(`No country code for this shape (map ID ${feature.id ?? 'none'}), so no data is shown for it`);
         tooltip.style('opacity', 1)
           .style('left', (event.offsetX + 15) + 'px')
           .style('top', (event.offsetY + 15) + 'px')
           .html(html);
+        return;
+      }
+
+      html += `<div class="stat-row"><span class="stat-label">Papers (${periodLabel}${partialYears.length ? ', partial' : ''})</span>`;
+      html += `<span class="stat-value">${papers?.toLocaleString() ?? 'N/A'}</span></div>`;
+      if (papers === undefined) {
+        html += note(`No record for ${periodLabel}${selectedSubfield ? ` in ${selectedSubfield}` : ''}`);
+      } else if (papers === 0) {
+        html += note('Recorded with zero papers');
+      }
+      
+      if (growth !== undefined) {
+        const color = growth >= 0 ? theme.positive : theme.negative;
+        html += `<div class="stat-row"><span class="stat-label">${isRange ? 'CAGR' : 'YoY Growth'}</span>`;
+        html += `<span class="stat-value" style="color:${color}">${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%</span></div>`;
+      } else if (viewMode === 'growth' && papers !== undefined) {
+        html += note(`No growth: no papers in ${isRange ? yearSpan[0] : yearSpan[0] - 1} to grow from`);
+      }
+      
+      if (viewMode !== 'absolute' && viewMode !== 'growth') {
+        const value = modeData.get(code);
+        html += `<div class="stat-row"><span class="stat-label">${modeConfig.statLabel}</span>`;
+        html += `<span class="stat-value">${value !== undefined ? modeConfig.format(value) : 'N/A'}</span></div>`;
+        if (value === undefined && papers) {
+          const missing = viewMode === 'per-capita' ? 'population' : 'GDP';
+          html += note(`No ${missing} data for this country`);
+        }
+      }
+
+      if (m?.rank) {
+        const change = m.rankChange ? ` ${formatMetric.rankChange(m.rankChange)} since ${m.rankFrom}` : '';
+        html += `<div class="stat-row"><span class="stat-label">Rank</span>`;
+        html += `<span class="stat-value">#${m.rank}${change}</span></div>`;
+        html += `<div class="stat-row"><span class="stat-label">World share</span>`;
+        html += `<span class="stat-value">${formatMetric.share(m.share)}</span></div>`;
+      }
+      if (isRange && m?.slope != null) {
+        html += `<div class="stat-row"><span class="stat-label">Trend</span>`;
+        html += `<span class="stat-value">${formatMetric.slope(m.slope)}</span></div>`;
+      }
+      if (isRange && m?.volatility != null) {
+        html += `<div class="stat-row"><span class="stat-label">Volatility</span>`;
+        html += `<span class="stat-value">±${(m.volatility * 100).toFixed(1)}%</span></div>`;
+      }
+      if (isRange && m?.peakYear) {
+        html += `<div class="stat-row"><span class="stat-label">Peak year</span>`;
+        html += `<span class="stat-value">${m.peakYear} (${m.peakPapers.toLocaleString()})</span></div>`;
+      }
+
+      const group = groups.get(groupFor(code));
+      if (group) {
+        html += note(`Shift-click to select ${group.label}`);
+      }
+
+      tooltip.style('opacity', 1)
+        .style('left', (event.offsetX + 15) + 'px')
+        .style('top', (event.offsetY + 15) + 'px')
+        .html(html);
+    };
+
+    // Same interactions for country shapes and symbols; `resolve` maps a
+    // datum to its country code and feature
+    const bindCountryEvents = (selection, resolve) => selection
+      .on('mouseenter', function(event, d) {
+        const { code, feature } = resolve(d);
+        onCountryHover(code);
+        showTooltip(event, code, feature);
+
+        d3.select(this).raise()
+          .attr('stroke', theme.accent)
+          .attr('stroke-width', 2);
       })
       .on('mousemove', event => {
         tooltip.style('left', (event.offsetX + 15) + 'px')
           .style('top', (event.offsetY + 15) + 'px');
       })
       .on('mouseleave', function(event, d) {
-        const code = getCountryCode(d);
+        const { code } = resolve(d);
         onCountryHover(null);
         tooltip.style('opacity', 0);
-        
+
         d3.select(this)
-          .attr('stroke', code === selectedCountry ? '#f472b6' : 
-                         comparedCountries.includes(code) ? '#22d3ee' : '#1e2a45')
-          .attr('stroke-width', code === selectedCountry ? 2 : 
-                               comparedCountries.includes(code) ? 1.5 : 0.5);
+          .attr('stroke', strokeColor(code))
+          .attr('stroke-width', strokeWidth(code));
       })
       .on('click', (event, d) => {
-        const code = getCountryCode(d);
-        if (code) onCountrySelect(code);
+        // The second click of a double-click would toggle the selection off
+        if (event.detail > 1) return;
+        const { code } = resolve(d);
+        if (code) onCountrySelect((event.shiftKey && groupFor(code)) || code);
+      })
+      .on('dblclick', (event, d) => {
+        zoomActionsRef.current?.feature(resolve(d).feature);
       });
 
+    bindCountryEvents(countryPaths, d => ({ code: featureCode(d), feature: d }));
+    bindCountryEvents(circles, d => d);
+
     // Legend
-    const legendW = 180;
-    const legendH = 12;
-    const legendX = width - legendW - 20;
-    const legendY = height - 40;
+    const legend = svg.select('.legend');
+    legend.selectAll('*').remove();
 
-    const defs = svg.append('defs');
-    const gradientId = `legend-gradient-${viewMode}`;
-    const gradient = defs.append('linearGradient')
-      .attr('id', gradientId)
-      .attr('x1', '0%').attr('x2', '100%');
+    const legendTitle = viewMode === 'growth'
+      ? (isRange ? `Annual Growth (CAGR ${periodLabel})` : 'Year-over-Year Growth')
+      : `${modeConfig.title} ${periodLabel}${classBreaks ? '' : ' (log scale)'}`;
 
-    if (viewMode === 'growth') {
-      gradient.append('stop').attr('offset', '0%').attr('stop-color', d3.interpolateRdYlGn(0));
-      gradient.append('stop').attr('offset', '50%').attr('stop-color', d3.interpolateRdYlGn(0.5));
-      gradient.append('stop').attr('offset', '100%').attr('stop-color', d3.interpolateRdYlGn(1));
+    // Swatch rows, bottom-left: the classes when classed, then a key for
+    // whichever missing states are on the map
+    const swatch = 12;
+    const rowH = 16;
+    const legendRow = (x, y, fill, label) => {
+      const row = legend.append('g')
+        .attr('transform', `translate(${x}, ${y})`);
+
+      row.append('rect')
+        .attr('width', swatch)
+        .attr('height', swatch)
+        .attr('rx', 2)
+        .attr('fill', fill)
+        .attr('stroke', theme.border);
+
+      row.append('text')
+        .attr('x', swatch + 6)
+        .attr('y', swatch - 2)
+        .attr('fill', theme.subtle)
+        .attr('font-size', 10)
+        .attr('font-family', 'JetBrains Mono, monospace')
+        .text(label);
+    };
+
+    const shownStates = new Set(showSymbols ? [] : countryPaths.data().map(d => missingState(featureCode(d))));
+    const missingKeys = Object.keys(MISSING_FILLS).filter(state => shownStates.has(state));
+    const keyY = height - 20 - missingKeys.length * rowH;
+    missingKeys.forEach((state, i) => {
+      legendRow(20, keyY + i * rowH, MISSING_FILLS[state].fill(theme), MISSING_FILLS[state].label);
+    });
+
+    if (classBreaks) {
+      // Classed: one swatch per class with its value range, above the key
+      const colors = colorScale.range();
+      const legendX = 20;
+      const legendY = keyY - colors.length * rowH;
+
+      legend.append('text')
+        .attr('x', legendX)
+        .attr('y', legendY - 8)
+        .attr('fill', theme.muted)
+        .attr('font-size', 9)
+        .attr('font-family', 'Space Grotesk, sans-serif')
+        .text(legendTitle);
+
+      colors.forEach((color, i) => {
+        const lower = i > 0 ? modeConfig.format(classBreaks[i - 1]) : null;
+        const upper = i < classBreaks.length ? modeConfig.format(classBreaks[i]) : null;
+        let label;
+        if (lower === null && upper === null) label = 'All values';
+        else if (lower === null) label = `< ${upper}`;
+        else if (upper === null) label = `≥ ${lower}`;
+        else label = `${lower} – ${upper}`;
+
+        legendRow(legendX, legendY + i * rowH, color, label);
+      });
     } else {
-      PAPER_COUNT_COLORS.forEach((color, i) => {
-        gradient.append('stop')
-          .attr('offset', `${(i / (PAPER_COUNT_COLORS.length - 1)) * 100}%`)
-          .attr('stop-color', color);
+      const legendW = 180;
+      const legendH = 12;
+      const legendX = width - legendW - 20;
+      const legendY = height - 40;
+
+      const defs = legend.append('defs');
+      const gradientId = `legend-gradient-${viewMode}`;
+      const gradient = defs.append('linearGradient')
+        .attr('id', gradientId)
+        .attr('x1', '0%').attr('x2', '100%');
+
+      // Where 0% sits along the bar: the diverging scale puts it mid-colour
+      const zeroOffset = growthDomain
+        ? -growthDomain[0] / (growthDomain[2] - growthDomain[0])
+        : 0.5;
+
+      if (viewMode === 'growth') {
+        gradient.append('stop').attr('offset', '0%').attr('stop-color', theme.diverging(0));
+        gradient.append('stop').attr('offset', `${zeroOffset * 100}%`).attr('stop-color', theme.diverging(0.5));
+        gradient.append('stop').attr('offset', '100%').attr('stop-color', theme.diverging(1));
+      } else {
+        theme.sequential.forEach((color, i) => {
+          gradient.append('stop')
+            .attr('offset', `${(i / (theme.sequential.length - 1)) * 100}%`)
+            .attr('stop-color', color);
+        });
+      }
+
+      legend.append('rect')
+        .attr('x', legendX)
+        .attr('y', legendY)
+        .attr('width', legendW)
+        .attr('height', legendH)
+        .attr('fill', `url(#${gradientId})`)
+        .attr('rx', 2);
+
+      // Legend labels (growth ends are clipped, hence ≤ / ≥)
+      let [minLabel, maxLabel] = ['', ''];
+      if (viewMode === 'growth') {
+        if (growthDomain) {
+          minLabel = `≤ ${modeConfig.format(growthDomain[0])}`;
+          maxLabel = `≥ ${modeConfig.format(growthDomain[2])}`;
+        }
+      } else if (modeExtent) {
+        minLabel = viewMode === 'absolute' ? '0' : modeConfig.format(modeExtent[0]);
+        maxLabel = modeConfig.format(modeExtent[1]);
+      }
+
+      legend.append('text')
+        .attr('x', legendX)
+        .attr('y', legendY - 5)
+        .attr('fill', theme.subtle)
+        .attr('font-size', 10)
+        .attr('font-family', 'JetBrains Mono, monospace')
+        .text(minLabel);
+
+      legend.append('text')
+        .attr('x', legendX + legendW)
+        .attr('y', legendY - 5)
+        .attr('fill', theme.subtle)
+        .attr('font-size', 10)
+        .attr('font-family', 'JetBrains Mono, monospace')
+        .attr('text-anchor', 'end')
+        .text(maxLabel);
+
+      if (viewMode === 'growth' && growthDomain) {
+        legend.append('text')
+          .attr('x', legendX + legendW * zeroOffset)
+          .attr('y', legendY - 5)
+          .attr('fill', theme.subtle)
+          .attr('font-size', 10)
+          .attr('font-family', 'JetBrains Mono, monospace')
+          .attr('text-anchor', 'middle')
+          .text('0%');
+      }
+
+      legend.append('text')
+        .attr('x', legendX + legendW / 2)
+        .attr('y', legendY + legendH + 12)
+        .attr('fill', theme.muted)
+        .attr('font-size', 9)
+        .attr('font-family', 'Space Grotesk, sans-serif')
+        .attr('text-anchor', 'middle')
+        .text(legendTitle);
+    }
+
+    // Size legend: nested circles for the symbol modes, at true scale
+    if (showSymbols && yearData.size) {
+      const sizeValues = [...new Set([maxPapers, maxPapers / 4, maxPapers / 20]
+        .map(v => +d3.format('.1r')(v))
+        .filter(v => v > 0))];
+      const cx = width - 20 - maxRadius - 40;
+      const baseY = height - 75;
+      const sizeLegend = legend.append('g').attr('class', 'size-legend');
+
+      sizeValues.forEach(value => {
+        const r = radius(value);
+        sizeLegend.append('circle')
+          .attr('cx', cx)
+          .attr('cy', baseY - r)
+          .attr('r', r)
+          .attr('fill', 'none')
+          .attr('stroke', theme.subtle)
+          .attr('stroke-width', 0.75);
+
+        sizeLegend.append('line')
+          .attr('x1', cx)
+          .attr('x2', cx + maxRadius + 6)
+          .attr('y1', baseY - 2 * r)
+          .attr('y2', baseY - 2 * r)
+          .attr('stroke', theme.muted)
+          .attr('stroke-width', 0.5)
+          .attr('stroke-dasharray', '2,2');
+
+        sizeLegend.append('text')
+          .attr('x', cx + maxRadius + 9)
+          .attr('y', baseY - 2 * r + 3)
+          .attr('fill', theme.subtle)
+          .attr('font-size', 10)
+          .attr('font-family', 'JetBrains Mono, monospace')
+          .text(d3.format('~s')(value));
       });
+
+      sizeLegend.append('text')
+        .attr('x', cx)
+        .attr('y', baseY + 12)
+        .attr('fill', theme.muted)
+        .attr('font-size', 9)
+        .attr('font-family', 'Space Grotesk, sans-serif')
+        .attr('text-anchor', 'middle')
+        .text(`Papers (${periodLabel})`);
     }
 
-    svg.append('rect')
-      .attr('x', legendX)
-      .attr('y', legendY)
-      .attr('width', legendW)
-      .attr('height', legendH)
-      .attr('fill', `url(#${gradientId})`)
-      .attr('rx', 2);
-
-    // Legend labels
-    svg.append('text')
-      .attr('x', legendX)
-      .attr('y', legendY - 5)
-      .attr('fill', '#94a3b8')
-      .attr('font-size', 10)
-      .attr('font-family', 'JetBrains Mono, monospace')
-      .text(viewMode === 'growth' ? '-30%' : '0');
-
-    svg.append('text')
-      .attr('x', legendX + legendW)
-      .attr('y', legendY - 5)
-      .attr('fill', '#94a3b8')
-      .attr('font-size', 10)
-      .attr('font-family', 'JetBrains Mono, monospace')
-      .attr('text-anchor', 'end')
-      .text(viewMode === 'growth' ? '+60%' : d3.max(Array.from(yearData.values()))?.toLocaleString() || '');
-
-    svg.append('text')
-      .attr('x', legendX + legendW / 2)
-      .attr('y', legendY + legendH + 12)
-      .attr('fill', '#64748b')
-      .attr('font-size', 9)
-      .attr('font-family', 'Space Grotesk, sans-serif')
-      .attr('text-anchor', 'middle')
-      .text(viewMode === 'growth' ? 'Year-over-Year Growth' : 'Paper Count (log scale)');
-
-  }, [geoData, dimensions, yearData, growthData, viewMode, selectedCountry, comparedCountries, 
-      colorScale, countryNames, summaryMap, selectedYear, onCountrySelect, onCountryHover]);
+  }, [geoData, dimensions, yearData, growthData, modeData, modeExtent, modeConfig, viewMode, mapType,
+      collaborationPairs, classBreaks, growthDomain, theme, selectedCountry, comparisonColors, groups, colorScale, countryNames, metrics, periodLabel, isRange, yearSpan, selectedSubfield, fillTransitionMs, onCountrySelect, onCountryHover]);
+
+  // Outline the country hovered in another view (time series, legend),
+  // or every member of a hovered group. A class rather than attributes,
+  // so it never fights the stroke transitions above and clears itself on
+  // the next hover change.
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    const hovered = new Set(groups.get(hoveredCountry)?.members || (hoveredCountry ? [hoveredCountry] : []));
+    svg.selectAll('.country')
+      .classed('linked-hover', d => hovered.has(featureCode(d)))
+      .filter('.linked-hover')
+      .raise();
+    svg.selectAll('.symbol')
+      .classed('linked-hover', d => hovered.has(d.code))
+      .filter('.linked-hover')
+      .raise();
+  }, [hoveredCountry, groups, geoData, dimensions, mapType, theme]);
+
+  // Export: one row per country with data in the active period
+  const exportRows = () => Array.from(yearData, ([code, papers]) => ({
+    country_code: code,
+    country: countryNames.get(code) || code,
+    papers,
+    growth_pct: growthData.has(code) ? +growthData.get(code).toFixed(2) : null,
+    value: modeData.has(code) ? +modeData.get(code).toPrecision(6) : null,
+  })).sort((a, b) => b.papers - a.papers);
+
+  const exportInfo = () => exportMetadata('map', {
+    year: periodLabel,
+    subfield: selectedSubfield,
+    mode: viewMode,
+    map: mapType,
+  });
+
+  const exportItems = [
+    {
+      label: 'Values (CSV)',
+      onSelect: () => downloadCSV(
+        exportRows(),
+        ['country_code', 'country', 'papers', 'growth_pct', 'value'],
+        exportInfo()
+      ),
+    },
+    { label: 'Values (JSON)', onSelect: () => downloadJSON(exportRows(), exportInfo()) },
+    {
+      label: 'Codes not on map (CSV)',
+      disabled: !coverage?.unmatched.length,
+      onSelect: () => downloadCSV(
+        coverage.unmatched,
+        ['country_code', 'country', 'papers', 'firstYear', 'lastYear'],
+        exportMetadata('map-coverage', {})
+      ),
+    },
+    { label: 'Map (SVG)', onSelect: () => downloadSVG(svgRef.current, exportInfo(), theme.bg) },
+    { label: 'Map (PNG)', onSelect: () => downloadPNG(svgRef.current, exportInfo(), theme.bg) },
+  ];
 
   return (
     <div className="w-full h-full relative">
       <svg ref={svgRef} width={dimensions.width} height={dimensions.height} className="w-full h-full" />
       <div ref={tooltipRef} className="map-tooltip" />
+
+      {/* Zoom presets */}
+      <div className="absolute top-2 left-2 flex flex-wrap gap-1">
+        {Object.keys(REGION_PRESETS).map((name) => (
+          <button
+            key={name}
+            onClick={() => zoomActionsRef.current?.region(name)}
+            className="viz-button px-2 py-0.5 text-[10px]"
+          >
+            {name}
+          </button>
+        ))}
+        <button
+          onClick={() => zoomActionsRef.current?.reset()}
+          className="viz-button px-2 py-0.5 text-[10px]"
+          aria-label="Reset zoom"
+        >
+          Reset
+        </button>
+        {coverage?.unmatched.length > 0 && (
+          <button
+            onClick={() => setShowCoverage((s) => !s)}
+            className={`viz-button px-2 py-0.5 text-[10px] ${showCoverage ? 'active' : ''}`}
+            style={{ color: theme.warning }}
+            title="Country codes in the data with no shape on the map"
+          >
+            {coverage.unmatched.length} not on map
+          </button>
+        )}
+      </div>
+      {showCoverage && coverage && (
+        <div className="absolute top-9 left-2 z-20 w-64 max-h-60 overflow-y-auto rounded border border-viz-border bg-viz-surface shadow-lg p-2 text-[10px] font-mono">
+          <div className="text-viz-subtle mb-1">
+            {coverage.unmatchedPapers.toLocaleString()} papers ({formatMetric.share(coverage.unmatchedPapers / coverage.totalPapers)} of the data)
+            have a country code with no shape on the map and aren&apos;t drawn.
+            {coverage.unmappedFeatures > 0 && ` ${coverage.unmappedFeatures} shapes have no country code.`}
+          </div>
+          <table className="w-full">
+            <tbody>
+              {coverage.unmatched.map((d) => (
+                <tr key={d.country_code} className="text-viz-text">
+                  <td className="pr-2 text-viz-muted">{d.country_code}</td>
+                  <td className="pr-2">{d.country}</td>
+                  <td className="text-right">{d.papers.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {partialYears.length > 0 && (
+        <div
+          className="absolute top-9 right-2 text-[10px] font-mono pointer-events-none"
+          style={{ color: theme.warning }}
+        >
+          {partialYears.join(', ')} is a partial year: counts{viewMode === 'growth' ? ' and growth' : ''} are understated
+        </div>
+      )}
+      <div className="absolute top-2 right-2 flex items-start gap-2">
+        <span className="text-[10px] text-viz-muted font-mono pointer-events-none mt-1">
+          Scroll to zoom · Drag to pan · Double-click to focus
+        </span>
+        <ExportMenu items={exportItems} />
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -2,37 +2,78 @@
 
 import { useRef, useEffect, useMemo, useState } from 'react';
 import * as d3 from 'd3';
+import {
+  getYearSpan,
+  formatYearSpan,
+  nodeLinkForSpan,
+  mergeNodeLinks,
+  fieldSpecialization,
+} from '../lib/dataUtils';
+import { exportMetadata, downloadCSV, downloadJSON, downloadSVG, downloadPNG } from '../lib/exportUtils';
+import { isGroupCode } from '../lib/countryGroups';
+import ExportMenu from './ExportMenu';
 
-// Colors for main fields - includes all possible field names
-const FIELD_COLORS = {
-  'Computer Vision': '#22d3ee',
-  'Natural Language Processing': '#f472b6',
-  'Robotics': '#4ade80',
-  'Theory': '#fbbf24',
-  'Reinforcement Learning': '#fbbf24',  // Same color as Theory
-};
+// What node size shows: the selected country's papers, the compared
+// countries' papers split into pie slices, or the selected country's
+// specialization relative to its overall AI output
+const GRAPH_MODES = [
+  { id: 'country', label: 'Country', title: 'Papers per field for the selected country' },
+  { id: 'compare', label: 'Compare', title: "Compared countries' papers per field, as pie slices" },
+  { id: 'specialization', label: 'Specialization', title: "Selected country's share of each field ÷ its share of all AI papers" },
+];
 
 export default function NodeLinkGraph({
   nodeLinkData,
+  data,
+  subfieldData,
+  selectedYear,
+  yearRange,
   selectedCountry,
+  comparedCountries,
+  comparisonColors,
   selectedSubfield,
   onSubfieldSelect,
+  theme,
 }) {
   const svgRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 500, height: 230 });
   const [expandedFields, setExpandedFields] = useState([]);
+  const [mode, setMode] = useState('country');
 
+  // Compared countries that have node-link data
+  const comparedWithGraphs = useMemo(
+    () => comparedCountries.filter(code => nodeLinkData?.[code]),
+    [comparedCountries, nodeLinkData]
+  );
+
+  // Counts for the active period, each marked measured, estimated or missing
   const graphData = useMemo(() => {
+    const span = getYearSpan(selectedYear, yearRange);
+    if (mode === 'compare') {
+      return mergeNodeLinks(comparedWithGraphs.map(code => ({
+        code,
+        graph: nodeLinkForSpan(nodeLinkData[code], code, span, data, subfieldData),
+      })));
+    }
     if (!selectedCountry || !nodeLinkData || !nodeLinkData[selectedCountry]) {
       return { nodes: [], links: [] };
     }
-    return nodeLinkData[selectedCountry];
-  }, [nodeLinkData, selectedCountry]);
+    if (mode === 'specialization') {
+      return fieldSpecialization(nodeLinkData, selectedCountry, span, data, subfieldData);
+    }
+    return nodeLinkForSpan(nodeLinkData[selectedCountry], selectedCountry, span, data, subfieldData);
+  }, [mode, nodeLinkData, selectedCountry, comparedWithGraphs, selectedYear, yearRange, data, subfieldData]);
 
-  // Reset when country changes
+  // Main fields plus the subfields of expanded fields
+  const visibleGraph = useMemo(() => ({
+    nodes: graphData.nodes.filter(n => n.type === 'main' || expandedFields.includes(n.parent)),
+    links: graphData.links.filter(l => expandedFields.includes(l.source)),
+  }), [graphData, expandedFields]);
+
+  // Reset when country changes (in compare mode the tree is shared)
   useEffect(() => {
-    setExpandedFields([]);
-  }, [selectedCountry]);
+    if (mode !== 'compare') setExpandedFields([]);
+  }, [selectedCountry]); // mode deliberately left out: switching modes keeps the expanded fields
 
   // Resize observer
   useEffect(() => {
@@ -48,40 +89,76 @@ export default function NodeLinkGraph({
 
   // Main draw effect - KEY: we handle click inside, but create a new function reference each time expandedFields changes
   useEffect(() => {
-    if (!svgRef.current || !graphData.nodes.length) return;
+    if (!svgRef.current) return;
 
     const svg = d3.select(svgRef.current);
     const { width, height } = dimensions;
 
     svg.selectAll('*').remove();
+    if (!visibleGraph.nodes.length) return;
 
-    // Get all main nodes from data
-    const mainNodes = graphData.nodes.filter(n => n.type === 'main');
-    
-    // Get sub nodes based on current expanded state
-    const subNodes = graphData.nodes.filter(n => 
-      n.type === 'sub' && expandedFields.includes(n.parent)
-    );
-    
-    const visibleNodes = [...mainNodes, ...subNodes].map(n => ({ ...n }));
-    
-    // Filter links to only show those connecting to visible sub nodes
-    const visibleLinks = graphData.links
-      .filter(l => expandedFields.includes(l.source))
-      .map(l => ({ ...l }));
+    // The simulation mutates its nodes and links, so work on copies
+    const visibleNodes = visibleGraph.nodes.map(n => ({ ...n }));
+    const visibleLinks = visibleGraph.links.map(l => ({ ...l }));
 
     const g = svg.append('g');
+    const periodLabel = formatYearSpan(getYearSpan(selectedYear, yearRange));
+
+    // Size scale; missing counts draw at the minimum size, hollow. In
+    // specialization mode size is the index, with 1 (no specialization)
+    // always in the domain so a ring can mark it.
+    const specialization = mode === 'specialization';
+    const sizeValue = d => (specialization ? d.rca : d.count);
+    const maxValue = d3.max(visibleNodes, sizeValue) || 1;
+    const sizeScale = d3.scaleSqrt()
+      .domain([0, specialization ? Math.max(maxValue, 1) : maxValue])
+      .range([specialization ? 8 : 20, 50])
+      .clamp(true);
+    const isMissing = d => d.status === 'missing' || (specialization && d.rca === null);
+    const radius = d => sizeScale(sizeValue(d) ?? 0);
+    const rcaColor = d => (d.rca >= 1 ? theme.positive : theme.negative);
+    const formatRca = rca => `${rca.toFixed(rca >= 10 ? 0 : 2)}×`;
+    const formatCount = (count) => {
+      if (count >= 1000000) return `${(count/1000000).toFixed(1)}M`;
+      if (count >= 1000) return `${Math.round(count/1000)}K`;
+      return count;
+    };
+    const describe = d => {
+      if (isMissing(d)) return `${d.id}: no data for ${periodLabel}`;
+      const note = d.status === 'estimated' ? ' (estimated from the all-time total)' : '';
+      let text = `${d.id}: ${Math.round(d.count).toLocaleString()} papers in ${periodLabel}${note}`;
+      if (specialization) {
+        text += `\nSpecialization ${formatRca(d.rca)} (share of this field ÷ share of all AI papers)`;
+      }
+      if (d.slices) {
+        d.slices.forEach(s => {
+          text += `\n${s.code}: ${s.count === null ? 'n/a' : Math.round(s.count).toLocaleString()}`;
+        });
+      }
+      return text;
+    };
 
-    // Size scale
-    const maxCount = d3.max(visibleNodes, d => d.count) || 1;
-    const sizeScale = d3.scaleSqrt().domain([0, maxCount]).range([20, 50]);
+    // Compare mode: each country's slice of the node
+    const pie = d3.pie().value(s => s.count).sort(null);
+    const drawSlices = (selection, r) => selection.each(function(d) {
+      const known = (d.slices || []).filter(s => s.count > 0);
+      d3.select(this).selectAll('.slice')
+        .data(pie(known))
+        .join('path')
+        .attr('class', 'slice')
+        .attr('d', d3.arc().innerRadius(0).outerRadius(r(d)))
+        .attr('fill', a => comparisonColors.get(a.data.code) || theme.muted)
+        .attr('stroke', theme.surface)
+        .attr('stroke-width', 0.5)
+        .attr('pointer-events', 'none');
+    });
 
     // Force simulation
     const simulation = d3.forceSimulation(visibleNodes)
       .force('link', d3.forceLink(visibleLinks).id(d => d.id).distance(60).strength(0.7))
       .force('charge', d3.forceManyBody().strength(-150))
       .force('center', d3.forceCenter(width / 2, height / 2))
-      .force('collision', d3.forceCollide().radius(d => sizeScale(d.count) + 5));
+      .force('collision', d3.forceCollide().radius(d => radius(d) + 5));
 
     // Draw links
     const link = g.selectAll('.link')
@@ -90,7 +167,7 @@ export default function NodeLinkGraph({
       .attr('class', 'link')
       .attr('stroke', d => {
         const sourceId = typeof d.source === 'object' ? d.source.id : d.source;
-        return FIELD_COLORS[sourceId] || '#1e2a45';
+        return theme.fields[sourceId] || theme.border;
       })
       .attr('stroke-width', 1.5)
       .attr('stroke-opacity', 0.4)
@@ -116,11 +193,13 @@ export default function NodeLinkGraph({
     // Main circles with click handler
     node.filter(d => d.type === 'main').each(function(d) {
       const circle = d3.select(this).append('circle')
-        .attr('r', sizeScale(d.count))
-        .attr('fill', FIELD_COLORS[d.id] || '#64748b')
-        .attr('fill-opacity', expandedFields.includes(d.id) ? 1 : 0.7)
-        .attr('stroke', expandedFields.includes(d.id) ? '#fff' : (FIELD_COLORS[d.id] || '#64748b'))
-        .attr('stroke-width', expandedFields.includes(d.id) ? 3 : 1.5);
+        .attr('r', radius(d))
+        .attr('fill', specialization && !isMissing(d) ? rcaColor(d) : (theme.fields[d.id] || theme.muted))
+        .attr('fill-opacity', isMissing(d) || d.slices ? 0 : (expandedFields.includes(d.id) ? 1 : 0.7))
+        .attr('stroke', expandedFields.includes(d.id) ? theme.text : (theme.fields[d.id] || theme.muted))
+        .attr('stroke-width', expandedFields.includes(d.id) ? 3 : 1.5)
+        .attr('stroke-dasharray', isMissing(d) ? '3,3' : null);
+      circle.append('title').text(describe(d));
       
       // Use a closure to capture the current d.id
       const fieldId = d.id;
@@ -139,25 +218,53 @@ export default function NodeLinkGraph({
     // Sub circles
     node.filter(d => d.type === 'sub')
       .append('circle')
-      .attr('r', d => Math.max(8, sizeScale(d.count) * 0.4))
+      .attr('r', d => Math.max(8, radius(d) * 0.4))
       .attr('fill', d => {
-        const color = FIELD_COLORS[d.parent];
-        return color ? d3.color(color).brighter(0.6).toString() : '#64748b';
+        if (specialization && !isMissing(d)) return rcaColor(d);
+        const color = theme.fields[d.parent];
+        return color ? d3.color(color).brighter(0.6).toString() : theme.muted;
       })
-      .attr('fill-opacity', d => d.id === selectedSubfield ? 1 : 0.7)
-      .attr('stroke', d => d.id === selectedSubfield ? '#fff' : 'none')
-      .attr('stroke-width', 2)
+      .attr('fill-opacity', d => {
+        if (isMissing(d) || d.slices) return 0;
+        return d.id === selectedSubfield ? 1 : 0.7;
+      })
+      .attr('stroke', d => {
+        if (d.id === selectedSubfield) return theme.text;
+        return isMissing(d) ? theme.muted : 'none';
+      })
+      .attr('stroke-width', d => (isMissing(d) && d.id !== selectedSubfield ? 1 : 2))
+      .attr('stroke-dasharray', d => (isMissing(d) ? '3,3' : null))
       .on('click', (event, d) => {
         event.stopPropagation();
         onSubfieldSelect(d.id);
-      });
+      })
+      .append('title')
+      .text(describe);
+
+    if (mode === 'compare') {
+      drawSlices(node.filter(d => d.type === 'main'), radius);
+      drawSlices(node.filter(d => d.type === 'sub'), d => Math.max(8, radius(d) * 0.4));
+      // Keep the outlines (and their click targets) above the slices
+      node.selectAll('circle').raise();
+    }
+
+    // Specialization: a dashed ring at the size a node with index 1 would have
+    if (specialization) {
+      node.filter(d => !isMissing(d))
+        .insert('circle', 'text')
+        .attr('r', d => (d.type === 'main' ? sizeScale(1) : Math.max(8, sizeScale(1) * 0.4)))
+        .attr('fill', 'none')
+        .attr('stroke', theme.subtle)
+        .attr('stroke-dasharray', '2,2')
+        .attr('pointer-events', 'none');
+    }
 
     // Main labels
     node.filter(d => d.type === 'main')
       .append('text')
-      .attr('dy', d => sizeScale(d.count) + 12)
+      .attr('dy', d => radius(d) + 12)
       .attr('text-anchor', 'middle')
-      .attr('fill', '#e2e8f0')
+      .attr('fill', theme.text)
       .attr('font-size', 9)
       .attr('font-weight', 500)
       .attr('pointer-events', 'none')
@@ -170,32 +277,35 @@ export default function NodeLinkGraph({
     // Sub labels
     node.filter(d => d.type === 'sub')
       .append('text')
-      .attr('dy', d => Math.max(8, sizeScale(d.count) * 0.4) + 10)
+      .attr('dy', d => Math.max(8, radius(d) * 0.4) + 10)
       .attr('text-anchor', 'middle')
-      .attr('fill', '#94a3b8')
+      .attr('fill', theme.subtle)
       .attr('font-size', 7)
       .attr('pointer-events', 'none')
-      .text(d => d.id.length > 12 ? d.id.slice(0, 11) + '…' : d.id);
+      .text(d => {
+        const label = d.id.length > 12 ? d.id.slice(0, 11) + '…' : d.id;
+        return isMissing(d) ? `${label} (n/a)` : label;
+      });
 
-    // Count inside main nodes
-    node.filter(d => d.type === 'main' && d.count > 0)
+    // Count inside main nodes; ~ marks estimates, n/a missing values
+    node.filter(d => d.type === 'main')
       .append('text')
       .attr('dy', 3)
       .attr('text-anchor', 'middle')
-      .attr('fill', '#0a0e1a')
+      .attr('fill', d => (isMissing(d) ? theme.muted : (d.slices ? theme.text : theme.bg)))
       .attr('font-size', 8)
       .attr('font-weight', 600)
       .attr('pointer-events', 'none')
       .text(d => {
-        if (d.count >= 1000000) return `${(d.count/1000000).toFixed(1)}M`;
-        if (d.count >= 1000) return `${Math.round(d.count/1000)}K`;
-        return d.count;
+        if (isMissing(d)) return 'n/a';
+        if (specialization) return formatRca(d.rca);
+        return `${d.status === 'estimated' ? '~' : ''}${formatCount(d.count)}`;
       });
 
     // Tick
     simulation.on('tick', () => {
       visibleNodes.forEach(d => {
-        const r = d.type === 'main' ? sizeScale(d.count) : Math.max(8, sizeScale(d.count) * 0.4);
+        const r = d.type === 'main' ? radius(d) : Math.max(8, radius(d) * 0.4);
         d.x = Math.max(r + 5, Math.min(width - r - 5, d.x));
         d.y = Math.max(r + 5, Math.min(height - r - 20, d.y));
       });
@@ -212,11 +322,33 @@ export default function NodeLinkGraph({
     });
 
     return () => simulation.stop();
-  }, [graphData, dimensions, expandedFields, selectedSubfield, onSubfieldSelect]);
+  }, [visibleGraph, mode, dimensions, expandedFields, selectedSubfield, selectedYear, yearRange, comparisonColors, onSubfieldSelect, theme]);
 
-  if (!selectedCountry) {
+  const modeButtons = (
+    <div className="absolute top-1 left-2 flex items-center gap-1">
+      {GRAPH_MODES.map(({ id, label, title }) => (
+        <button
+          key={id}
+          onClick={() => setMode(id)}
+          className={`viz-button px-1.5 py-0.5 text-[10px] ${mode === id ? 'active' : ''}`}
+          title={title}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const emptyMessage = mode === 'compare'
+    ? (comparedCountries.length ? 'No field data for the compared countries' : 'Compare countries to see their field mix')
+    : !selectedCountry ? 'Select a country to explore'
+      : isGroupCode(selectedCountry) ? 'Field trees are per country; select a member country'
+        : null;
+
+  if (emptyMessage) {
     return (
-      <div className="w-full h-full flex flex-col items-center justify-center text-viz-muted text-sm">
+      <div className="w-full h-full relative flex flex-col items-center justify-center text-viz-muted text-sm">
+        <svg ref={svgRef} className="hidden" />
         <svg className="w-14 h-14 mb-2 opacity-30" viewBox="0 0 24 24" fill="none" stroke="currentColor">
           <circle cx="12" cy="12" r="3" />
           <circle cx="6" cy="6" r="2" />
@@ -224,16 +356,85 @@ export default function NodeLinkGraph({
           <circle cx="6" cy="18" r="2" />
           <circle cx="18" cy="18" r="2" />
         </svg>
-        <p>Select a country to explore</p>
+        <p>{emptyMessage}</p>
+        {modeButtons}
       </div>
     );
   }
 
+  // Export: the visible nodes and links
+  const exportInfo = () => exportMetadata('fields', {
+    country: mode === 'compare' ? comparedWithGraphs.join(' ') : selectedCountry,
+    year: formatYearSpan(getYearSpan(selectedYear, yearRange)),
+    subfield: selectedSubfield,
+    mode: mode === 'country' ? null : mode,
+  });
+  const nodeRows = () => visibleGraph.nodes.map(n => ({
+    id: n.id,
+    type: n.type,
+    parent: n.parent || '',
+    count: n.count === null ? null : Math.round(n.count),
+    status: n.status,
+    ...(mode === 'specialization' ? { specialization: n.rca === null ? null : +n.rca.toFixed(3) } : {}),
+    ...(n.slices ? Object.fromEntries(n.slices.map(s => [s.code, s.count === null ? null : Math.round(s.count)])) : {}),
+  }));
+  const nodeColumns = [
+    'id', 'type', 'parent', 'count', 'status',
+    ...(mode === 'specialization' ? ['specialization'] : []),
+    ...(mode === 'compare' ? comparedWithGraphs : []),
+  ];
+  const countById = new Map(visibleGraph.nodes.map(n => [n.id, n.count]));
+  const linkRows = () => visibleGraph.links.map(l => ({
+    source: l.source,
+    target: l.target,
+    count: countById.get(l.target) == null ? null : Math.round(countById.get(l.target)),
+  }));
+  const hasMissing = graphData.nodes.some(n => n.status === 'missing');
+  const hasEstimated = graphData.nodes.some(n => n.status === 'estimated');
+
+  const exportItems = [
+    {
+      label: 'Nodes (CSV)',
+      onSelect: () => downloadCSV(nodeRows(), nodeColumns, exportInfo()),
+    },
+    {
+      label: 'Links (CSV)',
+      disabled: !visibleGraph.links.length,
+      onSelect: () => downloadCSV(linkRows(), ['source', 'target', 'count'], exportInfo()),
+    },
+    {
+      label: 'Graph (JSON)',
+      onSelect: () => downloadJSON({ nodes: nodeRows(), links: linkRows() }, exportInfo()),
+    },
+    { label: 'Graph (SVG)', onSelect: () => downloadSVG(svgRef.current, exportInfo(), theme.surface) },
+    { label: 'Graph (PNG)', onSelect: () => downloadPNG(svgRef.current, exportInfo(), theme.surface) },
+  ];
+
   return (
     <div className="w-full h-full relative">
       <svg ref={svgRef} width={dimensions.width} height={dimensions.height} className="w-full h-full" />
-      <div className="absolute top-1 right-2 text-[10px] text-viz-muted font-mono">
-        Click to expand · Drag to move
+      {modeButtons}
+      <div className="absolute top-1 right-2 flex items-start gap-2">
+        <span className="text-[10px] text-viz-muted font-mono pointer-events-none mt-1">
+          Click to expand · Drag to move
+        </span>
+        <ExportMenu items={exportItems} />
+      </div>
+      <div className="absolute bottom-1 left-2 flex flex-wrap items-center gap-x-2 text-[10px] text-viz-muted font-mono pointer-events-none">
+        {mode === 'compare' && comparedWithGraphs.map(code => (
+          <span key={code} className="inline-flex items-center gap-1">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: comparisonColors.get(code) }} />
+            {code}
+          </span>
+        ))}
+        {mode === 'specialization' && (
+          <span>
+            <span style={{ color: theme.positive }}>●</span> above /{' '}
+            <span style={{ color: theme.negative }}>●</span> below the country&apos;s average share · ring = 1×
+          </span>
+        )}
+        {hasEstimated && <span>~ estimated from all-time totals</span>}
+        {hasMissing && <span>dashed = no data</span>}
       </div>
     </div>
   );
@@ -0,0 +1,283 @@
+'use client';
+
+import { useRef, useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { MIN_YEAR, MAX_YEAR, isPartialYear, rankCountriesByYear } from '../lib/dataUtils';
+import { exportMetadata, downloadCSV, downloadSVG, downloadPNG } from '../lib/exportUtils';
+import ExportMenu from './ExportMenu';
+
+const TOP_N_OPTIONS = [10, 20];
+
+/**
+ * Fade every line but the hovered country's, wherever the hover came
+ * from. Restyles in place so hovering never redraws.
+ */
+function markHoveredSeries(svgNode, code) {
+  if (!svgNode) return;
+  const series = d3.select(svgNode).selectAll('.bump-series');
+  const shown = series.filter(function() { return this.dataset.code === code; });
+  series.attr('opacity', function() {
+    if (shown.empty()) return 1;
+    return this.dataset.code === code ? 1 : 0.15;
+  });
+  shown.raise();
+}
+
+/**
+ * Bump chart of the top-N countries' ranks per year. A country's line is
+ * drawn only for the years it is in the top N.
+ */
+export default function RankingBumpChart({
+  data,
+  subfieldData,
+  countrySummary,
+  selectedCountry,
+  hoveredCountry,
+  comparisonColors,
+  selectedSubfield,
+  selectedYear,
+  yearRange,
+  onCountrySelect,
+  onCountryHover,
+  onSubfieldChange,
+  theme,
+}) {
+  const svgRef = useRef(null);
+  const [dimensions, setDimensions] = useState({ width: 800, height: 360 });
+  const [topN, setTopN] = useState(TOP_N_OPTIONS[0]);
+
+  const subfields = useMemo(
+    () => Array.from(new Set(subfieldData.map((d) => d.subfield))).sort(),
+    [subfieldData]
+  );
+
+  const countryNames = useMemo(
+    () => new Map(countrySummary.map((c) => [c.country_code, c.country])),
+    [countrySummary]
+  );
+
+  const ranks = useMemo(
+    () => rankCountriesByYear(selectedSubfield
+      ? subfieldData.filter((d) => d.subfield === selectedSubfield)
+      : data),
+    [data, subfieldData, selectedSubfield]
+  );
+
+  // One series per country that reaches the top N in any year; points
+  // outside the top N are kept as gaps
+  const series = useMemo(() => {
+    const years = d3.range(MIN_YEAR, MAX_YEAR + 1);
+    const codes = new Set();
+    years.forEach((year) => {
+      ranks.get(year)?.forEach(({ rank }, code) => {
+        if (rank <= topN) codes.add(code);
+      });
+    });
+    return Array.from(codes, (code) => ({
+      code,
+      points: years.map((year) => {
+        const entry = ranks.get(year)?.get(code);
+        return { year, rank: entry?.rank ?? null, papers: entry?.papers ?? 0 };
+      }),
+    }));
+  }, [ranks, topN]);
+
+  // Resize observer
+  useEffect(() => {
+    const container = svgRef.current?.parentElement;
+    if (!container) return;
+    const observer = new ResizeObserver((entries) => {
+      const { width, height } = entries[0].contentRect;
+      setDimensions({ width, height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+    const { width, height } = dimensions;
+
+    svg.selectAll('*').remove();
+    if (!series.length) return;
+
+    const margin = { top: 40, right: 48, bottom: 12, left: 48 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    if (innerWidth <= 0 || innerHeight <= 0) return;
+
+    const name = (code) => countryNames.get(code) || code;
+    const inTop = (d) => d.rank !== null && d.rank <= topN;
+    const color = (code) => {
+      if (comparisonColors.has(code)) return comparisonColors.get(code);
+      if (code === selectedCountry) return theme.highlight;
+      return theme.muted;
+    };
+
+    const xScale = d3.scalePoint()
+      .domain(d3.range(MIN_YEAR, MAX_YEAR + 1))
+      .range([0, innerWidth]);
+
+    const yScale = d3.scalePoint()
+      .domain(d3.range(1, topN + 1))
+      .range([0, innerHeight]);
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Active period
+    const [startYear, endYear] = yearRange || [selectedYear, selectedYear];
+    g.append('rect')
+      .attr('x', xScale(startYear) - 6)
+      .attr('width', xScale(endYear) - xScale(startYear) + 12)
+      .attr('y', -8)
+      .attr('height', innerHeight + 16)
+      .attr('rx', 4)
+      .attr('fill', theme.accent)
+      .attr('fill-opacity', 0.08);
+
+    // Year labels along the top; partial years get an asterisk
+    g.append('g')
+      .selectAll('text')
+      .data(xScale.domain())
+      .join('text')
+      .attr('x', (d) => xScale(d))
+      .attr('y', -12)
+      .attr('text-anchor', 'middle')
+      .attr('fill', (d) => (d >= startYear && d <= endYear ? theme.accent : theme.muted))
+      .attr('font-size', 10)
+      .attr('font-family', 'JetBrains Mono, monospace')
+      .text((d) => `'${String(d).slice(2)}${isPartialYear(d) ? '*' : ''}`)
+      .append('title')
+      .text((d) => (isPartialYear(d) ? `${d} is a partial year: ranks reflect the papers indexed so far` : d));
+
+    const line = d3.line()
+      .defined(inTop)
+      .x((d) => xScale(d.year))
+      .y((d) => yScale(d.rank))
+      .curve(d3.curveBumpX);
+
+    // Grey lines first so coloured ones stay on top
+    const ordered = [...series].sort((a, b) =>
+      (comparisonColors.has(a.code) || a.code === selectedCountry) - (comparisonColors.has(b.code) || b.code === selectedCountry));
+
+    const countries = g.append('g')
+      .selectAll('g')
+      .data(ordered)
+      .join('g')
+      .attr('class', 'bump-series')
+      .attr('data-code', (d) => d.code)
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => onCountryHover(d.code))
+      .on('mouseleave', () => onCountryHover(null))
+      .on('click', (event, d) => onCountrySelect(d.code));
+
+    countries.append('path')
+      .attr('d', (d) => line(d.points))
+      .attr('fill', 'none')
+      .attr('stroke', (d) => color(d.code))
+      .attr('stroke-width', (d) => (d.code === selectedCountry ? 3.5 : 2.5))
+      .attr('stroke-linecap', 'round');
+
+    // Wide invisible stroke so thin lines are easy to hover
+    countries.append('path')
+      .attr('d', (d) => line(d.points))
+      .attr('fill', 'none')
+      .attr('stroke', 'transparent')
+      .attr('stroke-width', 10);
+
+    countries.selectAll('circle')
+      .data((d) => d.points.filter(inTop).map((p) => ({ ...p, code: d.code })))
+      .join('circle')
+      .attr('cx', (d) => xScale(d.year))
+      .attr('cy', (d) => yScale(d.rank))
+      .attr('r', 3.5)
+      .attr('fill', (d) => color(d.code))
+      .attr('stroke', theme.surface)
+      .attr('stroke-width', 1)
+      .append('title')
+      .text((d) => `${name(d.code)} ${d.year}: #${d.rank} (${d.papers.toLocaleString()} papers${isPartialYear(d.year) ? ', partial year' : ''})`);
+
+    // Country codes at each end of a line and where it re-enters the top N
+    countries.selectAll('text')
+      .data((d) => d.points
+        .filter((p, i) => inTop(p) && (i === 0 || !inTop(d.points[i - 1])))
+        .map((p) => ({ ...p, code: d.code, side: 'start' }))
+        .concat(d.points
+          .filter((p, i) => inTop(p) && (i === d.points.length - 1 || !inTop(d.points[i + 1])))
+          .map((p) => ({ ...p, code: d.code, side: 'end' }))))
+      .join('text')
+      .attr('x', (d) => xScale(d.year) + (d.side === 'start' ? -7 : 7))
+      .attr('y', (d) => yScale(d.rank))
+      .attr('dy', '0.35em')
+      .attr('text-anchor', (d) => (d.side === 'start' ? 'end' : 'start'))
+      .attr('fill', (d) => (color(d.code) === theme.muted ? theme.subtle : color(d.code)))
+      .attr('font-size', 10)
+      .attr('font-family', 'JetBrains Mono, monospace')
+      .attr('pointer-events', 'none')
+      .text((d) => d.code);
+
+    // A redraw starts from scratch, so restore the hover with its current
+    // value; the effect below keeps it up to date
+    markHoveredSeries(svgRef.current, hoveredCountry);
+  }, [series, topN, dimensions, countryNames, selectedCountry, comparisonColors, selectedYear, yearRange, onCountrySelect, onCountryHover, theme]);
+
+  useEffect(() => {
+    markHoveredSeries(svgRef.current, hoveredCountry);
+  }, [hoveredCountry]);
+
+  // Export: one row per country and year in the top N
+  const exportInfo = () => exportMetadata('ranking', {
+    top: `top${topN}`,
+    subfield: selectedSubfield,
+  });
+  const exportRows = () => series
+    .flatMap(({ code, points }) => points
+      .filter((p) => p.rank !== null && p.rank <= topN)
+      .map((p) => ({ year: p.year, rank: p.rank, country_code: code, papers: p.papers })))
+    .sort((a, b) => a.year - b.year || a.rank - b.rank);
+
+  const hasChart = series.length > 0;
+  const exportItems = [
+    {
+      label: 'Ranks (CSV)',
+      disabled: !hasChart,
+      onSelect: () => downloadCSV(exportRows(), ['year', 'rank', 'country_code', 'papers'], exportInfo()),
+    },
+    { label: 'Chart (SVG)', disabled: !hasChart, onSelect: () => downloadSVG(svgRef.current, exportInfo(), theme.surface) },
+    { label: 'Chart (PNG)', disabled: !hasChart, onSelect: () => downloadPNG(svgRef.current, exportInfo(), theme.surface) },
+  ];
+
+  return (
+    <div className="w-full h-full relative">
+      <svg ref={svgRef} width={dimensions.width} height={dimensions.height} className="w-full h-full" />
+
+      <div className="absolute top-0 right-1 flex items-center gap-1 text-[10px] text-viz-muted font-mono">
+        <select
+          value={selectedSubfield || ''}
+          onChange={(e) => onSubfieldChange(e.target.value || null)}
+          className="bg-viz-border text-viz-text text-[10px] font-mono rounded px-1 py-0.5 border border-viz-border"
+          aria-label="Rank by subfield"
+        >
+          <option value="">All subfields</option>
+          {subfields.map((subfield) => (
+            <option key={subfield} value={subfield}>{subfield}</option>
+          ))}
+        </select>
+        <span className="ml-1">Top</span>
+        {TOP_N_OPTIONS.map((n) => (
+          <button
+            key={n}
+            onClick={() => setTopN(n)}
+            className={`viz-button px-1.5 py-0 text-[10px] ${topN === n ? 'active' : ''}`}
+          >
+            {n}
+          </button>
+        ))}
+        <ExportMenu items={exportItems} />
+      </div>
+    </div>
+  );
+}
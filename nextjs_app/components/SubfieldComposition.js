@@ -0,0 +1,323 @@
+'use client';
+
+import { useRef, useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { MIN_YEAR, MAX_YEAR, PARTIAL_YEARS, isPartialYear, formatYearSpan, subfieldsByYear } from '../lib/dataUtils';
+import { exportMetadata, downloadCSV, downloadSVG, downloadPNG } from '../lib/exportUtils';
+import ExportMenu from './ExportMenu';
+
+// Columns in the small-multiples grid
+const MAX_COLUMNS = 3;
+
+/**
+ * Subfield mix over time: a stacked area chart for the selected country,
+ * or small multiples for every compared country. Counts or 100% stacked.
+ */
+export default function SubfieldComposition({
+  subfieldData,
+  countrySummary,
+  selectedCountry,
+  comparedCountries,
+  comparisonColors,
+  selectedSubfield,
+  selectedYear,
+  yearRange,
+  onSubfieldSelect,
+  theme,
+}) {
+  const svgRef = useRef(null);
+  const [dimensions, setDimensions] = useState({ width: 500, height: 240 });
+  const [normalized, setNormalized] = useState(false);
+  const [multiples, setMultiples] = useState(false);
+
+  const subfields = useMemo(
+    () => Array.from(new Set(subfieldData.map((d) => d.subfield))).sort(),
+    [subfieldData]
+  );
+
+  const countryNames = useMemo(
+    () => new Map(countrySummary.map((c) => [c.country_code, c.country])),
+    [countrySummary]
+  );
+
+  // Single view falls back to the first compared country
+  const codes = useMemo(() => {
+    if (multiples) return comparedCountries;
+    const code = selectedCountry || comparedCountries[0];
+    return code ? [code] : [];
+  }, [multiples, selectedCountry, comparedCountries]);
+
+  const panels = useMemo(
+    () => codes.map((code) => ({ code, rows: subfieldsByYear(subfieldData, code, subfields) })),
+    [codes, subfieldData, subfields]
+  );
+
+  // Resize observer
+  useEffect(() => {
+    const container = svgRef.current?.parentElement;
+    if (!container) return;
+    const observer = new ResizeObserver((entries) => {
+      const { width, height } = entries[0].contentRect;
+      setDimensions({ width, height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+    const { width, height } = dimensions;
+
+    svg.selectAll('*').remove();
+    if (!panels.length) return;
+
+    const color = (subfield) => theme.fields[subfield] || theme.muted;
+    const name = (code) => countryNames.get(code) || code;
+    const format = d3.format('.1%');
+
+    // Legend row on top, then a grid of panels
+    const legendHeight = 22;
+    const columns = Math.min(panels.length, MAX_COLUMNS);
+    const gridRows = Math.ceil(panels.length / columns);
+    const cellWidth = width / columns;
+    const cellHeight = (height - legendHeight) / gridRows;
+    const compact = panels.length > 1;
+    const margin = compact
+      ? { top: 18, right: 10, bottom: 20, left: 38 }
+      : { top: 18, right: 16, bottom: 24, left: 48 };
+    const innerWidth = cellWidth - margin.left - margin.right;
+    const innerHeight = cellHeight - margin.top - margin.bottom;
+    if (innerWidth <= 0 || innerHeight <= 0) return;
+
+    const stack = d3.stack()
+      .keys(subfields)
+      .offset(normalized ? d3.stackOffsetExpand : d3.stackOffsetNone);
+
+    const xScale = d3.scaleLinear()
+      .domain([MIN_YEAR, MAX_YEAR])
+      .range([0, innerWidth]);
+
+    // Hatching for partial years, laid over the areas
+    svg.append('defs')
+      .append('pattern')
+      .attr('id', 'subfield-partial-hatch')
+      .attr('width', 6)
+      .attr('height', 6)
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('patternTransform', 'rotate(45)')
+      .append('line')
+      .attr('y2', 6)
+      .attr('stroke', theme.surface)
+      .attr('stroke-opacity', 0.6)
+      .attr('stroke-width', 2);
+
+    const area = (yScale) => d3.area()
+      .x((d) => xScale(d.data.year))
+      .y0((d) => yScale(d[0]))
+      .y1((d) => yScale(d[1]))
+      .curve(d3.curveMonotoneX);
+
+    panels.forEach(({ code, rows }, i) => {
+      const layers = stack(rows);
+      const yMax = normalized ? 1 : d3.max(layers, (layer) => d3.max(layer, (d) => d[1])) || 1;
+
+      // Each panel has its own count axis; 100% panels share 0–1
+      const yScale = d3.scaleLinear()
+        .domain([0, yMax])
+        .range([innerHeight, 0])
+        .nice();
+
+      const g = svg.append('g')
+        .attr('transform', `translate(${(i % columns) * cellWidth + margin.left},`
+          + `${legendHeight + Math.floor(i / columns) * cellHeight + margin.top})`);
+
+      // Catches the pointer where the stack is empty
+      g.append('rect')
+        .attr('width', innerWidth)
+        .attr('height', innerHeight)
+        .attr('fill', 'transparent');
+
+      // Active period behind the areas
+      if (yearRange) {
+        g.append('rect')
+          .attr('x', xScale(yearRange[0]))
+          .attr('width', xScale(yearRange[1]) - xScale(yearRange[0]))
+          .attr('height', innerHeight)
+          .attr('fill', theme.accent)
+          .attr('fill-opacity', 0.08);
+      }
+
+      g.append('g')
+        .selectAll('path')
+        .data(layers)
+        .join('path')
+        .attr('d', area(yScale))
+        .attr('fill', (d) => color(d.key))
+        .attr('fill-opacity', (d) => (!selectedSubfield || d.key === selectedSubfield ? 0.85 : 0.25))
+        .attr('stroke', theme.surface)
+        .attr('stroke-width', 0.5)
+        .style('cursor', 'pointer')
+        .on('click', (event, d) => onSubfieldSelect(d.key))
+        .append('title')
+        .text((d) => {
+          const total = d3.sum(d, (p) => p.data[d.key]);
+          return `${name(code)} · ${d.key}: ${total.toLocaleString()} papers ${MIN_YEAR}–${MAX_YEAR}`;
+        });
+
+      // The step into a partial year is hatched: its counts are incomplete
+      PARTIAL_YEARS.filter((year) => year > MIN_YEAR && year <= MAX_YEAR).forEach((year) => {
+        g.append('rect')
+          .attr('x', xScale(year - 1))
+          .attr('width', xScale(year) - xScale(year - 1))
+          .attr('height', innerHeight)
+          .attr('fill', 'url(#subfield-partial-hatch)')
+          .attr('pointer-events', 'none')
+          .append('title')
+          .text(`${year} is a partial year`);
+      });
+
+      // Year cursor, hidden while a range is brushed
+      if (!yearRange) {
+        g.append('line')
+          .attr('x1', xScale(selectedYear))
+          .attr('x2', xScale(selectedYear))
+          .attr('y2', innerHeight)
+          .attr('stroke', theme.accent)
+          .attr('stroke-opacity', 0.7)
+          .attr('pointer-events', 'none');
+      }
+
+      g.append('g')
+        .attr('transform', `translate(0,${innerHeight})`)
+        .call(d3.axisBottom(xScale).ticks(compact ? 3 : 8).tickFormat(d3.format('d')))
+        .attr('class', 'axis-tick')
+        .select('.domain')
+        .attr('stroke', theme.border);
+
+      g.append('g')
+        .call(d3.axisLeft(yScale)
+          .ticks(compact ? 3 : 5)
+          .tickFormat(normalized ? d3.format('.0%') : d3.format('~s')))
+        .attr('class', 'axis-tick')
+        .select('.domain')
+        .attr('stroke', theme.border);
+
+      // Country label, in its comparison colour
+      g.append('text')
+        .attr('y', -6)
+        .attr('fill', comparisonColors.get(code) || theme.text)
+        .attr('font-size', 11)
+        .attr('font-weight', 600)
+        .attr('font-family', 'Space Grotesk, sans-serif')
+        .text(name(code));
+
+      // Hover: the mix for the year under the pointer
+      const readout = g.append('text')
+        .attr('x', innerWidth)
+        .attr('y', 10)
+        .attr('text-anchor', 'end')
+        .attr('fill', theme.subtle)
+        .attr('font-size', 10)
+        .attr('font-family', 'JetBrains Mono, monospace')
+        .attr('pointer-events', 'none');
+
+      g.on('mousemove', (event) => {
+        const [mx] = d3.pointer(event, g.node());
+        const year = Math.max(MIN_YEAR, Math.min(MAX_YEAR, Math.round(xScale.invert(mx))));
+        const row = rows.find((r) => r.year === year);
+        const total = d3.sum(subfields, (s) => row[s]);
+        readout.text(total
+          ? `${year}${isPartialYear(year) ? '*' : ''} ` + subfields.map((s) => `${s.split(' ').map((w) => w[0]).join('')} ${format(row[s] / total)}`).join(' · ')
+          : `${year} no data`);
+      })
+      .on('mouseleave', () => readout.text(''));
+    });
+
+    // Legend: click a subfield to filter the other views by it
+    const legend = svg.append('g')
+      .attr('transform', `translate(${margin.left}, 6)`);
+    let offset = 0;
+    subfields.forEach((subfield) => {
+      const item = legend.append('g')
+        .attr('transform', `translate(${offset}, 0)`)
+        .style('cursor', 'pointer')
+        .attr('opacity', !selectedSubfield || subfield === selectedSubfield ? 1 : 0.5)
+        .on('click', () => onSubfieldSelect(subfield));
+      item.append('rect')
+        .attr('width', 10)
+        .attr('height', 10)
+        .attr('rx', 2)
+        .attr('fill', color(subfield));
+      const label = item.append('text')
+        .attr('x', 14)
+        .attr('y', 9)
+        .attr('fill', theme.subtle)
+        .attr('font-size', 10)
+        .attr('font-family', 'Space Grotesk, sans-serif')
+        .text(subfield);
+      offset += 14 + label.node().getComputedTextLength() + 14;
+    });
+  }, [panels, subfields, normalized, dimensions, selectedSubfield, selectedYear, yearRange, countryNames, comparisonColors, onSubfieldSelect, theme]);
+
+  // Export: one row per country, year and subfield
+  const exportInfo = () => exportMetadata('subfields', {
+    countries: codes.join(' '),
+    stack: normalized ? 'percent' : 'counts',
+    range: yearRange ? formatYearSpan(yearRange) : null,
+  });
+  const exportRows = () => panels.flatMap(({ code, rows }) => rows.flatMap((row) => {
+    const total = d3.sum(subfields, (s) => row[s]);
+    return subfields.map((subfield) => ({
+      country_code: code,
+      year: row.year,
+      subfield,
+      papers: row[subfield],
+      share_pct: total ? +((row[subfield] / total) * 100).toFixed(2) : null,
+    }));
+  }));
+
+  const hasChart = panels.length > 0;
+  const exportItems = [
+    {
+      label: 'Composition (CSV)',
+      disabled: !hasChart,
+      onSelect: () => downloadCSV(exportRows(), ['country_code', 'year', 'subfield', 'papers', 'share_pct'], exportInfo()),
+    },
+    { label: 'Chart (SVG)', disabled: !hasChart, onSelect: () => downloadSVG(svgRef.current, exportInfo(), theme.surface) },
+    { label: 'Chart (PNG)', disabled: !hasChart, onSelect: () => downloadPNG(svgRef.current, exportInfo(), theme.surface) },
+  ];
+
+  return (
+    <div className="w-full h-full relative">
+      <svg ref={svgRef} width={dimensions.width} height={dimensions.height} className="w-full h-full" />
+
+      {!hasChart && (
+        <div className="absolute inset-0 flex items-center justify-center text-viz-muted text-sm pointer-events-none">
+          <p>{multiples ? 'Compare countries to see their subfield mix side by side' : 'Select a country to see its subfield mix'}</p>
+        </div>
+      )}
+
+      <div className="absolute top-0 right-1 flex items-center gap-1">
+        <button
+          onClick={() => setNormalized((prev) => !prev)}
+          className={`viz-button px-1.5 py-0.5 text-[10px] ${normalized ? 'active' : ''}`}
+          aria-pressed={normalized}
+          title="Show each year's mix as shares of 100%"
+        >
+          100%
+        </button>
+        <button
+          onClick={() => setMultiples((prev) => !prev)}
+          className={`viz-button px-1.5 py-0.5 text-[10px] ${multiples ? 'active' : ''}`}
+          aria-pressed={multiples}
+          title="One chart per compared country"
+        >
+          Compare
+        </button>
+        <ExportMenu items={exportItems} />
+      </div>
+    </div>
+  );
+}
@@ -2,59 +2,150 @@
 
 import { useRef, useEffect, useMemo, useState } from 'react';
 import * as d3 from 'd3';
-
-// Color palette for compared countries - MUST match Controls.js
-const COUNTRY_COLORS = [
-  '#22d3ee', // cyan
-  '#f472b6', // pink
-  '#4ade80', // green
-  '#fbbf24', // yellow
-  '#a78bfa', // purple
-  '#fb7185', // rose
-];
+import { MIN_YEAR, MAX_YEAR, PARTIAL_YEARS, isPartialYear, formatYearSpan } from '../lib/dataUtils';
+import { exportMetadata, downloadCSV, downloadJSON, downloadSVG, downloadPNG } from '../lib/exportUtils';
+import {
+  SERIES_SCALES,
+  SERIES_SCALE_CONFIG,
+  DEFAULT_BASE_YEAR,
+  sumPapersByYear,
+  scaleSeriesValues,
+} from '../lib/seriesScales';
+import {
+  FORECAST_MODELS,
+  FORECAST_MODEL_CONFIG,
+  FORECAST_HORIZON,
+  BACKTEST_YEARS,
+  forecastSeries,
+} from '../lib/forecast';
+import { isGroupCode } from '../lib/countryGroups';
+import ExportMenu from './ExportMenu';
+
+/**
+ * Move the year cursor to `year` without redrawing the chart, so it
+ * glides along during playback. Hidden while a range is brushed, which
+ * takes over from the single year.
+ */
+function placeYearCursor(svgNode, xScale, year, yearRange) {
+  if (!svgNode || !xScale) return;
+
+  const cursor = d3.select(svgNode).select('.year-cursor');
+  if (cursor.empty()) return;
+
+  cursor.style('display', yearRange ? 'none' : null);
+
+  const x = xScale(year);
+  if (cursor.attr('x1') === null) {
+    cursor.attr('x1', x).attr('x2', x);
+  } else {
+    cursor.transition()
+      .duration(400)
+      .attr('x1', x)
+      .attr('x2', x);
+  }
+}
+
+/**
+ * Emphasise the hovered country's line, wherever the hover came from
+ * (this chart, its legend or the map). Restyles in place, so hovering
+ * never triggers a redraw.
+ */
+function markHoveredLine(svgNode, code) {
+  if (!svgNode) return;
+  d3.select(svgNode)
+    .selectAll('.time-series-line')
+    .classed('hovered', function() { return this.dataset.code === code; });
+}
 
 export default function TimeSeriesPanel({
   data,
   subfieldData,
+  groupData,
+  groupSubfieldData,
   comparedCountries,
+  comparisonColors,
   selectedCountry,
+  hoveredCountry,
   selectedSubfield,
+  selectedYear,
   yearRange,
   onYearRangeChange,
   onCountrySelect,
+  onCountryHover,
+  theme,
 }) {
   const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const xScaleRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 500, height: 220 });
+  const [scale, setScale] = useState('linear'); // one of SERIES_SCALES
+  const [baseYear, setBaseYear] = useState(DEFAULT_BASE_YEAR);
+  const [forecastModel, setForecastModel] = useState(null); // one of FORECAST_MODELS, null = off
+  const scaleConfig = SERIES_SCALE_CONFIG[scale];
+
+  const sourceData = useMemo(() => (
+    selectedSubfield && subfieldData.length
+      ? subfieldData.filter((d) => d.subfield === selectedSubfield)
+      : data
+  ), [data, subfieldData, selectedSubfield]);
+
+  // Summed rows for compared regions and blocs
+  const groupSource = useMemo(() => (
+    selectedSubfield && subfieldData.length
+      ? groupSubfieldData.filter((d) => d.subfield === selectedSubfield)
+      : groupData
+  ), [groupData, groupSubfieldData, subfieldData, selectedSubfield]);
+
+  // Rank of every country among all countries, per year (1 = most papers)
+  const ranksByYear = useMemo(() => {
+    const ranks = new Map();
+    d3.group(sourceData, (d) => d.year).forEach((rows, year) => {
+      const sorted = [...rows].sort((a, b) => b.papers - a.papers);
+      ranks.set(year, new Map(sorted.map((d, i) => [d.country_code, i + 1])));
+    });
+    return ranks;
+  }, [sourceData]);
 
   // Process time series data - only show compared countries
   const timeSeriesData = useMemo(() => {
     if (!data.length) return [];
 
-    const sourceData = selectedSubfield && subfieldData.length
-      ? subfieldData.filter((d) => d.subfield === selectedSubfield)
-      : data;
-
     // Only show compared countries (no default top 5)
     if (comparedCountries.length === 0) {
       return [];
     }
 
-    return comparedCountries.map((code, i) => {
-      const countryData = sourceData
+    // Shares are of the world total for the same data (the subfield's
+    // total when one is selected)
+    const worldTotals = scale === 'share' ? sumPapersByYear(sourceData) : null;
+
+    return comparedCountries.map((code) => {
+      const countryData = (isGroupCode(code) ? groupSource : sourceData)
         .filter((d) => d.country_code === code)
         .sort((a, b) => a.year - b.year);
 
       return {
         code,
         name: countryData[0]?.country || code,
-        color: COUNTRY_COLORS[i % COUNTRY_COLORS.length],
-        values: countryData.map((d) => ({
-          year: d.year,
-          papers: d.papers,
-        })),
+        isGroup: isGroupCode(code),
+        color: comparisonColors.get(code) || theme.accent,
+        values: scaleSeriesValues(
+          countryData.map((d) => ({ year: d.year, papers: d.papers })),
+          scale,
+          { worldTotals, baseYear }
+        ),
       };
     });
-  }, [data, subfieldData, comparedCountries, selectedSubfield]);
+  }, [data, sourceData, groupSource, comparedCountries, comparisonColors, scale, baseYear, theme]);
+
+  // Projections of the plotted values, fitted to complete years only
+  const forecasts = useMemo(() => {
+    if (!forecastModel) return new Map();
+    return new Map(timeSeriesData.map((series) => [
+      series.code,
+      forecastSeries(series.values, forecastModel, { lastYear: MAX_YEAR, exclude: isPartialYear }),
+    ]));
+  }, [timeSeriesData, forecastModel]);
 
   // Resize observer
   useEffect(() => {
@@ -72,44 +163,57 @@ export default function TimeSeriesPanel({
 
   // Draw chart
   useEffect(() => {
-    if (!svgRef.current || !timeSeriesData.length) return;
+    if (!svgRef.current) return;
 
     const svg = d3.select(svgRef.current);
     const { width, height } = dimensions;
 
     svg.selectAll('*').remove();
 
-    const margin = { top: 20, right: 100, bottom: 35, left: 55 };
+    const margin = { top: 30, right: 100, bottom: 35, left: 55 };
     const innerWidth = width - margin.left - margin.right;
     const innerHeight = height - margin.top - margin.bottom;
 
     const g = svg.append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    // Scales
+    // Scales; the x axis runs past the data while forecasting
+    const lastYear = forecastModel ? MAX_YEAR + FORECAST_HORIZON : MAX_YEAR;
     const xScale = d3.scaleLinear()
-      .domain([2010, 2025])
+      .domain([MIN_YEAR, lastYear])
       .range([0, innerWidth]);
 
-    const allValues = timeSeriesData.flatMap((d) => d.values.map((v) => v.papers));
+    const projected = (code) => forecasts.get(code)?.points || [];
+    const allValues = timeSeriesData
+      .flatMap((d) => [...d.values, ...projected(d.code)].map((v) => v.value))
+      .filter((v) => v !== null && (scale !== 'log' || v > 0));
     const yMax = d3.max(allValues) || 1;
 
-    const yScale = d3.scaleLinear()
-      .domain([0, yMax * 1.1])
-      .range([innerHeight, 0])
-      .nice();
+    // Log axes start at the smallest plotted value; the others at zero
+    const yScale = scale === 'log'
+      ? d3.scaleLog().domain([d3.min(allValues) || 1, Math.max(yMax * 1.1, 10)])
+      : d3.scaleLinear().domain([0, yMax * 1.1]);
+    yScale.range([innerHeight, 0]).nice();
+
+    // Log ticks every 1, 2 and 5 of each decade when there are too many
+    const logTicks = (ticks) => (ticks.length > 8
+      ? ticks.filter((t) => [1, 2, 5].includes(Math.round(t / 10 ** Math.floor(Math.log10(t)))))
+      : ticks);
+    const yTicks = scale === 'log' ? logTicks(yScale.ticks(5)) : yScale.ticks(5);
+
+    // Grid lines (the brush stays usable before any country is compared)
+    const hasSeries = timeSeriesData.length > 0;
 
-    // Grid lines
     g.append('g')
       .attr('class', 'grid')
       .selectAll('line')
-      .data(yScale.ticks(5))
+      .data(hasSeries ? yTicks : [])
       .join('line')
       .attr('x1', 0)
       .attr('x2', innerWidth)
       .attr('y1', (d) => yScale(d))
       .attr('y2', (d) => yScale(d))
-      .attr('stroke', '#1e2a45')
+      .attr('stroke', theme.border)
       .attr('stroke-dasharray', '2,4');
 
     // X Axis
@@ -122,79 +226,273 @@ export default function TimeSeriesPanel({
       .call(xAxis)
       .attr('class', 'axis-tick')
       .select('.domain')
-      .attr('stroke', '#1e2a45');
+      .attr('stroke', theme.border);
 
     // Y Axis
     const yAxis = d3.axisLeft(yScale)
-      .ticks(5)
-      .tickFormat((d) => {
-        if (d >= 1000000) return `${d / 1000000}M`;
-        if (d >= 1000) return `${d / 1000}K`;
-        return d;
+      .tickValues(yTicks)
+      .tickFormat(scaleConfig.tickFormat);
+
+    if (hasSeries) {
+      g.append('g')
+        .call(yAxis)
+        .attr('class', 'axis-tick')
+        .select('.domain')
+        .attr('stroke', theme.border);
+
+      // Y Axis label
+      g.append('text')
+        .attr('class', 'axis-label')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -innerHeight / 2)
+        .attr('y', -40)
+        .attr('text-anchor', 'middle')
+        .text(scaleConfig.axisLabel(baseYear));
+
+      // Reference line at the base year's level
+      if (scale === 'indexed' && yScale.domain()[1] >= 100) {
+        g.append('line')
+          .attr('x1', 0)
+          .attr('x2', innerWidth)
+          .attr('y1', yScale(100))
+          .attr('y2', yScale(100))
+          .attr('stroke', theme.muted)
+          .attr('stroke-dasharray', '6,3')
+          .attr('pointer-events', 'none');
+      }
+    }
+
+    // Partial years, hatched
+    const partialBands = g.append('g').attr('pointer-events', 'none');
+    if (hasSeries && PARTIAL_YEARS.length) {
+      svg.append('defs')
+        .append('pattern')
+        .attr('id', 'partial-hatch')
+        .attr('width', 6)
+        .attr('height', 6)
+        .attr('patternUnits', 'userSpaceOnUse')
+        .attr('patternTransform', 'rotate(45)')
+        .append('line')
+        .attr('y2', 6)
+        .attr('stroke', theme.muted)
+        .attr('stroke-opacity', 0.35)
+        .attr('stroke-width', 2);
+
+      PARTIAL_YEARS.filter((year) => year >= MIN_YEAR && year <= MAX_YEAR).forEach((year) => {
+        const x0 = Math.max(0, xScale(year - 0.5));
+        const x1 = Math.min(innerWidth, xScale(year + 0.5));
+        partialBands.append('rect')
+          .attr('x', x0)
+          .attr('width', x1 - x0)
+          .attr('height', innerHeight)
+          .attr('fill', 'url(#partial-hatch)');
+        partialBands.append('text')
+          .attr('x', (x0 + x1) / 2)
+          .attr('y', innerHeight - 4)
+          .attr('text-anchor', 'middle')
+          .attr('fill', theme.muted)
+          .attr('font-size', 9)
+          .attr('font-family', 'JetBrains Mono, monospace')
+          .text('partial');
       });
+    }
 
-    g.append('g')
-      .call(yAxis)
-      .attr('class', 'axis-tick')
-      .select('.domain')
-      .attr('stroke', '#1e2a45');
-
-    // Y Axis label
-    g.append('text')
-      .attr('class', 'axis-label')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -innerHeight / 2)
-      .attr('y', -40)
+    // Projection region, past the data
+    if (forecastModel && hasSeries) {
+      g.append('line')
+        .attr('x1', xScale(MAX_YEAR + 0.5))
+        .attr('x2', xScale(MAX_YEAR + 0.5))
+        .attr('y2', innerHeight)
+        .attr('stroke', theme.border)
+        .attr('pointer-events', 'none');
+      g.append('text')
+        .attr('x', xScale(MAX_YEAR + 0.5) + 4)
+        .attr('y', 10)
+        .attr('fill', theme.muted)
+        .attr('font-size', 9)
+        .attr('font-family', 'JetBrains Mono, monospace')
+        .attr('pointer-events', 'none')
+        .text(`${FORECAST_MODEL_CONFIG[forecastModel].label} projection`);
+    }
+
+    // Time brush - drawn beneath the lines so dots stay clickable
+    const snapToYears = ([x0, x1]) => {
+      let y0 = Math.max(MIN_YEAR, Math.round(xScale.invert(x0)));
+      let y1 = Math.min(MAX_YEAR, Math.round(xScale.invert(x1)));
+      if (y1 <= y0) {
+        // Keep at least one year between the handles
+        if (y0 < MAX_YEAR) y1 = y0 + 1;
+        else y0 = y1 - 1;
+      }
+      return [y0, y1];
+    };
+
+    const brushLabel = g.append('text')
+      .attr('y', -5)
       .attr('text-anchor', 'middle')
-      .text('Papers');
+      .attr('fill', theme.accent)
+      .attr('font-size', 11)
+      .attr('font-family', 'JetBrains Mono, monospace');
+
+    const brush = d3.brushX()
+      .extent([[0, 0], [xScale(MAX_YEAR), innerHeight]])
+      .on('brush', (event) => {
+        if (!event.sourceEvent || !event.selection) return;
+        const range = snapToYears(event.selection);
+        brushLabel
+          .attr('x', (xScale(range[0]) + xScale(range[1])) / 2)
+          .text(formatYearSpan(range));
+      })
+      .on('end', (event) => {
+        // Ignore programmatic moves (initial sync and snapping)
+        if (!event.sourceEvent) return;
+        brushLabel.text('');
+
+        if (!event.selection) {
+          onYearRangeChange(null);
+          return;
+        }
+
+        const range = snapToYears(event.selection);
+        brushG.call(brush.move, range.map(xScale));
+        onYearRangeChange(range);
+      });
+
+    const brushG = g.append('g')
+      .attr('class', 'brush')
+      .call(brush);
+
+    if (yearRange) {
+      brushG.call(brush.move, yearRange.map(xScale));
+    }
+
+    // Year cursor - positioned by placeYearCursor
+    g.append('line')
+      .attr('class', 'year-cursor')
+      .attr('y1', 0)
+      .attr('y2', innerHeight)
+      .attr('stroke', theme.accent)
+      .attr('stroke-width', 1.5)
+      .attr('stroke-opacity', 0.7)
+      .attr('pointer-events', 'none');
 
-    // Line generator
+    xScaleRef.current = xScale;
+
+    // Line generators: complete years solid, the step into and between
+    // partial years dashed
     const line = d3.line()
+      .defined((d) => d.value !== null && !isPartialYear(d.year))
       .x((d) => xScale(d.year))
-      .y((d) => yScale(d.papers))
+      .y((d) => yScale(d.value))
       .curve(d3.curveMonotoneX);
+    const partialLine = d3.line()
+      .defined((d) => d.value !== null && (isPartialYear(d.year) || isPartialYear(d.year + 1)))
+      .x((d) => xScale(d.year))
+      .y((d) => yScale(d.value));
+
+    // Projections and their 95% bands, clipped to the plot so a wide band
+    // can't spill over the axes
+    const clipId = 'time-series-clip';
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight);
+    const yFloor = yScale.domain()[0];
+    const band = d3.area()
+      .x((d) => xScale(d.year))
+      .y0((d) => yScale(Math.max(d.lower, yFloor)))
+      .y1((d) => yScale(Math.max(d.upper, yFloor)));
+    const projectionLine = d3.line()
+      .defined((d) => scale !== 'log' || d.value > 0)
+      .x((d) => xScale(d.year))
+      .y((d) => yScale(d.value));
+    const projections = g.append('g')
+      .attr('clip-path', `url(#${clipId})`)
+      .attr('pointer-events', 'none');
 
     // Draw lines
     timeSeriesData.forEach((series, i) => {
       const isHighlighted = series.code === selectedCountry;
 
+      const points = projected(series.code);
+      if (points.length) {
+        projections.append('path')
+          .datum(points)
+          .attr('d', band)
+          .attr('fill', series.color)
+          .attr('fill-opacity', 0.12);
+        projections.append('path')
+          .datum(points)
+          .attr('class', 'time-series-projection')
+          .attr('data-code', series.code)
+          .attr('d', projectionLine)
+          .attr('fill', 'none')
+          .attr('stroke', series.color)
+          .attr('stroke-width', 1.5)
+          .attr('stroke-dasharray', '1,3')
+          .attr('stroke-linecap', 'round');
+      }
+
       // Line
       g.append('path')
         .datum(series.values)
         .attr('class', `time-series-line ${isHighlighted ? 'highlighted' : ''}`)
+        .attr('data-code', series.code)
         .attr('d', line)
         .attr('stroke', series.color)
         .attr('stroke-opacity', isHighlighted ? 1 : 0.8)
         .attr('stroke-width', isHighlighted ? 3 : 2)
+        .attr('stroke-dasharray', series.isGroup ? '6,3' : null)
+        .attr('fill', 'none');
+
+      g.append('path')
+        .datum(series.values)
+        .attr('class', 'time-series-line')
+        .attr('data-code', series.code)
+        .attr('d', partialLine)
+        .attr('stroke', series.color)
+        .attr('stroke-opacity', 0.8)
+        .attr('stroke-width', isHighlighted ? 3 : 2)
+        .attr('stroke-dasharray', '3,3')
         .attr('fill', 'none');
 
       // Dots
       g.selectAll(`.dot-${i}`)
-        .data(series.values)
+        .data(series.values.filter((d) => d.value !== null))
         .join('circle')
         .attr('class', `time-series-dot dot-${i}`)
+        .attr('data-code', series.code)
         .attr('cx', (d) => xScale(d.year))
-        .attr('cy', (d) => yScale(d.papers))
+        .attr('cy', (d) => yScale(d.value))
         .attr('r', isHighlighted ? 4 : 3)
-        .attr('fill', series.color)
-        .attr('stroke', '#0a0e1a')
-        .attr('stroke-width', 1)
+        .attr('fill', (d) => (isPartialYear(d.year) ? theme.bg : series.color))
+        .attr('stroke', (d) => (isPartialYear(d.year) ? series.color : theme.bg))
+        .attr('stroke-width', (d) => (isPartialYear(d.year) ? 1.5 : 1))
         .style('cursor', 'pointer')
-        .on('click', () => onCountrySelect(series.code));
+        .on('click', () => onCountrySelect(series.code))
+        .append('title')
+        .text((d) => `${series.name} ${d.year}: ${scaleConfig.format(d.value)}${
+          scale === 'linear' || scale === 'log' ? ' papers' : ` (${d.papers.toLocaleString()} papers)`
+        }${isPartialYear(d.year) ? ' (partial year)' : ''}`);
     });
 
     // Legend
     const legend = g.append('g')
       .attr('transform', `translate(${innerWidth + 10}, 0)`);
 
+    const legendStep = forecastModel ? 32 : 22;
     timeSeriesData.forEach((series, i) => {
       const isHighlighted = series.code === selectedCountry;
 
       const legendItem = legend.append('g')
-        .attr('transform', `translate(0, ${i * 22})`)
+        .attr('transform', `translate(0, ${i * legendStep})`)
         .attr('class', 'legend-item')
         .style('cursor', 'pointer')
-        .on('click', () => onCountrySelect(series.code));
+        .on('click', () => onCountrySelect(series.code))
+        .on('mouseenter', () => onCountryHover(series.code))
+        .on('mouseleave', () => onCountryHover(null));
 
       legendItem.append('rect')
         .attr('width', 12)
@@ -206,53 +504,95 @@ export default function TimeSeriesPanel({
       legendItem.append('text')
         .attr('x', 16)
         .attr('y', 10)
-        .attr('fill', isHighlighted ? '#e2e8f0' : '#94a3b8')
+        .attr('fill', isHighlighted ? theme.text : theme.subtle)
         .attr('font-size', 11)
         .attr('font-weight', isHighlighted ? 600 : 400)
         .attr('font-family', 'Space Grotesk, sans-serif')
         .text(series.name.length > 10 ? series.name.slice(0, 10) + '…' : series.name);
-    });
 
-    // Year range indicator
-    if (yearRange) {
-      const [y1, y2] = yearRange;
-      g.append('rect')
-        .attr('x', xScale(y1))
-        .attr('y', 0)
-        .attr('width', xScale(y2) - xScale(y1))
-        .attr('height', innerHeight)
-        .attr('fill', '#22d3ee')
-        .attr('fill-opacity', 0.05)
-        .attr('stroke', '#22d3ee')
-        .attr('stroke-width', 1)
-        .attr('stroke-opacity', 0.3);
-    }
+      // Backtest error of the projection
+      if (forecastModel) {
+        const mape = forecasts.get(series.code)?.mape;
+        legendItem.append('text')
+          .attr('x', 16)
+          .attr('y', 22)
+          .attr('fill', theme.muted)
+          .attr('font-size', 9)
+          .attr('font-family', 'JetBrains Mono, monospace')
+          .text(mape === null || mape === undefined ? 'no projection' : `MAPE ${mape.toFixed(1)}%`)
+          .append('title')
+          .text(`Mean absolute % error when the last ${BACKTEST_YEARS} complete years are held out and projected`);
+      }
+    });
 
     // Hover interaction
     const hoverLine = g.append('line')
       .attr('y1', 0)
       .attr('y2', innerHeight)
-      .attr('stroke', '#64748b')
+      .attr('stroke', theme.muted)
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '4,4')
       .style('opacity', 0);
 
     const hoverText = g.append('text')
       .attr('y', -5)
-      .attr('fill', '#e2e8f0')
+      .attr('fill', theme.text)
       .attr('font-size', 12)
       .attr('font-family', 'JetBrains Mono, monospace')
       .style('opacity', 0);
 
-    g.append('rect')
-      .attr('width', innerWidth)
-      .attr('height', innerHeight)
-      .attr('fill', 'transparent')
-      .on('mousemove', (event) => {
-        const [mx] = d3.pointer(event);
+    const tooltip = d3.select(tooltipRef.current);
+    const dots = g.selectAll('.time-series-dot');
+    let nearestCode = null;
+
+    const setNearest = (code) => {
+      if (code === nearestCode) return;
+      nearestCode = code;
+      onCountryHover(code);
+    };
+
+    // Every compared country's value in the hovered year, largest first,
+    // with its year-over-year change and its rank among all countries
+    // Projected years list the projection and its 95% interval instead
+    const showReadout = (year, rows) => {
+      const ranks = ranksByYear.get(year);
+      const note = year > MAX_YEAR ? ' (projected)' : (isPartialYear(year) ? ' (partial year)' : '');
+      let html = `<div class="country-name">${year}${note}</div>`;
+      rows.forEach(({ series, point, yoy, projection }) => {
+        const rank = ranks?.get(series.code);
+        const weight = series.code === nearestCode ? 600 : 400;
+        html += `<div class="stat-row" style="font-weight:${weight}">`;
+        html += `<span class="stat-label"><span style="display:inline-block;width:8px;height:8px;border-radius:50%;margin-right:6px;background:${series.color}"></span>${series.name}</span>`;
+        html += '<span>';
+        if (point) {
+          html += `<span class="stat-value">${scaleConfig.format(point.value)}</span>`;
+          if (yoy !== null) {
+            const color = yoy >= 0 ? theme.positive : theme.negative;
+            html += ` <span style="color:${color}">${yoy >= 0 ? '+' : ''}${yoy.toFixed(1)}%</span>`;
+          }
+          if (rank) html += ` <span class="stat-label">#${rank}</span>`;
+        }
+        if (projection) {
+          html += `${point ? ' <span class="stat-label">proj.</span> ' : ''}<span class="stat-value">${scaleConfig.format(projection.value)}</span>`;
+          html += ` <span class="stat-label">${scaleConfig.format(projection.lower)}–${scaleConfig.format(projection.upper)}</span>`;
+        }
+        html += '</span></div>';
+      });
+      if (ranks) {
+        html += `<div class="stat-row"><span class="stat-label">YoY in papers · rank of ${ranks.size} countries</span></div>`;
+      }
+      if (rows.some((r) => r.projection)) {
+        html += '<div class="stat-row"><span class="stat-label">Projection with 95% interval</span></div>';
+      }
+      tooltip.html(html).style('opacity', 1);
+    };
+
+    // Listen on the whole plot so hovering works over the brush as well
+    g.on('mousemove.hover', (event) => {
+        const [mx, my] = d3.pointer(event, g.node());
         const year = Math.round(xScale.invert(mx));
         
-        if (year >= 2010 && year <= 2025) {
+        if (year >= MIN_YEAR && year <= lastYear && my >= 0 && my <= innerHeight) {
           hoverLine
             .attr('x1', xScale(year))
             .attr('x2', xScale(year))
@@ -262,36 +602,186 @@ export default function TimeSeriesPanel({
             .attr('x', xScale(year))
             .text(year)
             .style('opacity', 1);
+
+          // The projection's first point repeats the last fitted year
+          const rows = timeSeriesData
+            .map((series) => {
+              const actual = series.values.find((v) => v.year === year);
+              const point = actual && actual.value !== null ? actual : null;
+              const prev = series.values.find((v) => v.year === year - 1);
+              const yoy = point && prev?.papers > 0 ? (point.papers / prev.papers - 1) * 100 : null;
+              const projection = projected(series.code).slice(1).find((p) => p.year === year) || null;
+              return { series, point, yoy, projection, value: (point || projection)?.value };
+            })
+            .filter(({ value }) => value !== undefined)
+            .sort((a, b) => b.value - a.value);
+
+          if (!rows.length) {
+            tooltip.style('opacity', 0);
+            dots.classed('active', false).classed('nearest', false);
+            setNearest(null);
+            return;
+          }
+
+          // The line closest to the pointer counts as the hovered country
+          const nearest = d3.least(rows, (r) => Math.abs(yScale(r.value) - my));
+          setNearest(nearest.series.code);
+
+          dots
+            .classed('active', (d) => d.year === year)
+            .classed('nearest', function(d) {
+              return d.year === year && this.dataset.code === nearest.series.code;
+            });
+
+          showReadout(year, rows);
+
+          // Keep the tooltip on the side of the cursor with more room
+          const x = margin.left + xScale(year);
+          const node = tooltipRef.current;
+          const left = x > width / 2 ? x - node.offsetWidth - 12 : x + 12;
+          const top = Math.min(margin.top + my, height - node.offsetHeight - 4);
+          tooltip.style('left', `${left}px`).style('top', `${Math.max(0, top)}px`);
         }
       })
-      .on('mouseleave', () => {
+      .on('mouseleave.hover', () => {
         hoverLine.style('opacity', 0);
         hoverText.style('opacity', 0);
+        tooltip.style('opacity', 0);
+        dots.classed('active', false).classed('nearest', false);
+        setNearest(null);
       });
 
-  }, [timeSeriesData, dimensions, selectedCountry, yearRange, onCountrySelect]);
-
-  // Empty state - show prompt to select countries
-  if (!timeSeriesData.length) {
-    return (
-      <div className="w-full h-full flex flex-col items-center justify-center text-viz-muted text-sm">
-        <svg className="w-12 h-12 mb-3 opacity-30" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
-          <path d="M3 3v18h18" />
-          <path d="M7 16l4-4 4 4 5-6" />
-        </svg>
-        <p>Click countries on the map to compare trends</p>
-      </div>
-    );
-  }
+    // A redraw starts from scratch, so restore the cursor and hover with
+    // their current values; the effects below keep them up to date
+    placeYearCursor(svgRef.current, xScale, selectedYear, yearRange);
+    markHoveredLine(svgRef.current, hoveredCountry);
+  }, [timeSeriesData, forecasts, forecastModel, ranksByYear, dimensions, scale, scaleConfig, baseYear, selectedCountry, yearRange, onYearRangeChange, onCountrySelect, onCountryHover, theme]);
+
+  useEffect(() => {
+    placeYearCursor(svgRef.current, xScaleRef.current, selectedYear, yearRange);
+  }, [selectedYear, yearRange]);
+
+  useEffect(() => {
+    markHoveredLine(svgRef.current, hoveredCountry);
+  }, [hoveredCountry]);
+
+  // Export: one row per year, one column per compared country, in the
+  // plotted units. Projections add value and 95% bound columns, and rows
+  // for the projected years.
+  const exportYears = d3.range(MIN_YEAR, (forecastModel ? MAX_YEAR + FORECAST_HORIZON : MAX_YEAR) + 1);
+  const projectionColumns = forecastModel
+    ? timeSeriesData.flatMap(({ code }) => [`${code}_projected`, `${code}_lower`, `${code}_upper`])
+    : [];
+  const exportRows = () => exportYears.map((year) => {
+    const row = { year, partial: isPartialYear(year) };
+    timeSeriesData.forEach((series) => {
+      row[series.code] = series.values.find((v) => v.year === year)?.value ?? null;
+      if (forecastModel) {
+        const p = forecasts.get(series.code)?.points.slice(1).find((d) => d.year === year);
+        row[`${series.code}_projected`] = p ? p.value : null;
+        row[`${series.code}_lower`] = p ? p.lower : null;
+        row[`${series.code}_upper`] = p ? p.upper : null;
+      }
+    });
+    return row;
+  });
+
+  const exportInfo = () => exportMetadata('timeseries', {
+    countries: timeSeriesData.map((d) => d.code).join(' '),
+    subfield: selectedSubfield,
+    range: yearRange ? formatYearSpan(yearRange) : null,
+    scale: scale === 'linear' ? null : scaleConfig.axisLabel(baseYear),
+    forecast: forecastModel,
+  });
+
+  const hasSeries = timeSeriesData.length > 0;
+  const exportItems = [
+    {
+      label: 'Series (CSV)',
+      disabled: !hasSeries,
+      onSelect: () => downloadCSV(
+        exportRows(),
+        ['year', 'partial', ...timeSeriesData.map((d) => d.code), ...projectionColumns],
+        exportInfo()
+      ),
+    },
+    {
+      label: 'Series (JSON)',
+      disabled: !hasSeries,
+      onSelect: () => downloadJSON(
+        timeSeriesData.map(({ code, name, values }) => ({
+          code,
+          name,
+          values: values.map((v) => (isPartialYear(v.year) ? { ...v, partial: true } : v)),
+          ...(forecastModel ? { projection: forecasts.get(code) } : {}),
+        })),
+        exportInfo()
+      ),
+    },
+    { label: 'Chart (SVG)', disabled: !hasSeries, onSelect: () => downloadSVG(svgRef.current, exportInfo(), theme.surface) },
+    { label: 'Chart (PNG)', disabled: !hasSeries, onSelect: () => downloadPNG(svgRef.current, exportInfo(), theme.surface) },
+  ];
 
   return (
-    <div className="w-full h-full">
+    <div className="w-full h-full relative">
       <svg
         ref={svgRef}
         width={dimensions.width}
         height={dimensions.height}
         className="w-full h-full"
       />
+      <div ref={tooltipRef} className="map-tooltip" style={{ opacity: 0 }} />
+      {/* Empty state - show prompt to select countries */}
+      {!timeSeriesData.length && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center text-viz-muted text-sm pointer-events-none">
+          <svg className="w-12 h-12 mb-3 opacity-30" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <path d="M3 3v18h18" />
+            <path d="M7 16l4-4 4 4 5-6" />
+          </svg>
+          <p>Click countries on the map to compare trends</p>
+          <p className="text-xs mt-1 opacity-70">Drag across the years to select a range</p>
+        </div>
+      )}
+      {/* Y-axis mode */}
+      <div className="absolute top-0 left-1 flex items-center gap-1">
+        {SERIES_SCALES.map((id) => (
+          <button
+            key={id}
+            onClick={() => setScale(id)}
+            className={`viz-button px-1.5 py-0.5 text-[10px] ${scale === id ? 'active' : ''}`}
+            title={SERIES_SCALE_CONFIG[id].title}
+          >
+            {SERIES_SCALE_CONFIG[id].label}
+          </button>
+        ))}
+        {scale === 'indexed' && (
+          <select
+            value={baseYear}
+            onChange={(e) => setBaseYear(parseInt(e.target.value))}
+            className="bg-viz-border text-viz-text text-[10px] font-mono rounded px-1 py-0.5 border border-viz-border"
+            aria-label="Base year"
+          >
+            {d3.range(MIN_YEAR, MAX_YEAR + 1).map((year) => (
+              <option key={year} value={year}>{year} = 100</option>
+            ))}
+          </select>
+        )}
+        <select
+          value={forecastModel || ''}
+          onChange={(e) => setForecastModel(e.target.value || null)}
+          className="bg-viz-border text-viz-text text-[10px] font-mono rounded px-1 py-0.5 border border-viz-border"
+          aria-label="Forecast model"
+          title={forecastModel ? FORECAST_MODEL_CONFIG[forecastModel].title : `Project each series ${FORECAST_HORIZON} years ahead`}
+        >
+          <option value="">No forecast</option>
+          {FORECAST_MODELS.map((id) => (
+            <option key={id} value={id}>{FORECAST_MODEL_CONFIG[id].label} forecast</option>
+          ))}
+        </select>
+      </div>
+      <div className="absolute top-0 right-1">
+        <ExportMenu items={exportItems} />
+      </div>
     </div>
   );
 }
\ No newline at end of file
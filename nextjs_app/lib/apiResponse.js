@@ -0,0 +1,44 @@
+/**
+ * Response helpers shared by the API routes: error payloads and
+ * ETag / Cache-Control handling
+ */
+
+import { NextResponse } from 'next/server';
+import { createHash } from 'crypto';
+
+// Clients may reuse a response for a minute, then revalidate with the ETag
+export const CACHE_CONTROL = 'public, max-age=60, must-revalidate';
+
+/**
+ * Error payload shared by every handler: { error: { code, message, details? } }
+ */
+export function errorResponse(status, code, message, details) {
+  return NextResponse.json(
+    { error: { code, message, ...(details && { details }) } },
+    { status }
+  );
+}
+
+/**
+ * Strong ETag over everything a response depends on (query, file versions)
+ */
+export function computeEtag(...parts) {
+  const hash = createHash('sha1');
+  parts.forEach((part) => hash.update(String(part)).update('\u0000'));
+  return `"${hash.digest('hex')}"`;
+}
+
+export function cacheHeaders(etag) {
+  return { ETag: etag, 'Cache-Control': CACHE_CONTROL };
+}
+
+/**
+ * A 304 response if the request already holds this ETag, otherwise null
+ */
+export function notModified(request, etag) {
+  const ifNoneMatch = request.headers.get('if-none-match');
+  if (!ifNoneMatch) return null;
+  const tags = ifNoneMatch.split(',').map((t) => t.trim().replace(/^W\//, ''));
+  if (!tags.includes(etag) && !tags.includes('*')) return null;
+  return new NextResponse(null, { status: 304, headers: cacheHeaders(etag) });
+}
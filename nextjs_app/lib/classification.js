@@ -0,0 +1,135 @@
+/**
+ * Choropleth classification: turns the mapped values into class breaks
+ *
+ * Breaks are returned as ascending thresholds for d3.scaleThreshold, i.e.
+ * the lower bound of every class except the first, so k classes have
+ * k - 1 breaks.
+ */
+
+import * as d3 from 'd3';
+
+export const CLASSIFICATION_METHODS = [
+  { id: 'quantile', label: 'Quantile' },
+  { id: 'jenks', label: 'Natural breaks' },
+  { id: 'equal', label: 'Equal interval' },
+  { id: 'custom', label: 'Custom breaks' },
+];
+
+export const MIN_CLASSES = 3;
+export const MAX_CLASSES = 9;
+
+export const DEFAULT_CLASSIFICATION = {
+  type: 'continuous', // 'continuous' | 'classed'
+  method: 'quantile',
+  classes: 5,
+  customBreaks: [],
+};
+
+/**
+ * Quantile breaks: roughly the same number of countries per class
+ */
+export function quantileBreaks(values, k) {
+  return d3.scaleQuantile().domain(values).range(d3.range(k)).quantiles();
+}
+
+/**
+ * Equal-interval breaks: classes of equal width across the value extent
+ */
+export function equalIntervalBreaks(values, k) {
+  const [min, max] = d3.extent(values);
+  const step = (max - min) / k;
+  return d3.range(1, k).map((i) => min + step * i);
+}
+
+/**
+ * Natural breaks (Jenks): minimise the variance within each class.
+ * Classic dynamic-programming form, O(k·n²) — fine for a few hundred countries.
+ */
+export function jenksBreaks(values, k) {
+  const data = [...values].sort((a, b) => a - b);
+  const n = data.length;
+  if (n <= k) return data.slice(1);
+
+  // lowerIndex[l][j]: 1-based index of the first value in class j when the
+  // first l values are split into j classes; variance[l][j]: its total cost
+  const lowerIndex = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lowerIndex[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let classVariance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const start = l - m + 1;
+      const value = data[start - 1];
+      sum += value;
+      sumSquares += value * value;
+      classVariance = sumSquares - (sum * sum) / m;
+
+      if (start > 1) {
+        for (let j = 2; j <= k; j++) {
+          const cost = classVariance + variance[start - 1][j - 1];
+          if (cost <= variance[l][j]) {
+            lowerIndex[l][j] = start;
+            variance[l][j] = cost;
+          }
+        }
+      }
+    }
+
+    lowerIndex[l][1] = 1;
+    variance[l][1] = classVariance;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const start = lowerIndex[end][j];
+    breaks.unshift(data[start - 1]);
+    end = start - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Parse user-entered breaks such as "100, 1000, 10000".
+ * Returns sorted unique numbers, or null if anything is not a number.
+ */
+export function parseCustomBreaks(text) {
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  if (!parts.length) return null;
+
+  const numbers = parts.map(Number);
+  if (numbers.some((v) => !Number.isFinite(v))) return null;
+
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Compute class breaks for a classification setting
+ */
+export function computeBreaks({ method, classes, customBreaks }, values) {
+  if (method === 'custom') return customBreaks;
+  if (values.length < 2) return [];
+
+  let breaks;
+  if (method === 'jenks') breaks = jenksBreaks(values, classes);
+  else if (method === 'equal') breaks = equalIntervalBreaks(values, classes);
+  else breaks = quantileBreaks(values, classes);
+
+  // Ties (e.g. many countries with the same count) can repeat a break
+  return [...new Set(breaks)];
+}
+
+/**
+ * Sample n evenly spaced colours from an interpolator
+ */
+export function classColors(interpolator, n) {
+  if (n < 2) return [interpolator(1)];
+  return d3.quantize(interpolator, n);
+}
@@ -0,0 +1,64 @@
+/**
+ * Bilateral collaboration: country-pair co-authorship counts
+ *
+ * Rows come from ai_papers_collaboration_year.json as
+ * { year, source, target, papers }, one per pair and year, undirected.
+ */
+
+/**
+ * Sum co-authored papers per pair over an inclusive [start, end] span.
+ * Returns an array of { source, target, papers }.
+ */
+export function sumCollaborations(rows, [start, end]) {
+  const totals = new Map();
+  rows.forEach((d) => {
+    if (d.year < start || d.year > end) return;
+    const key = `${d.source}|${d.target}`;
+    const pair = totals.get(key);
+    if (pair) pair.papers += d.papers;
+    else totals.set(key, { source: d.source, target: d.target, papers: d.papers });
+  });
+  return Array.from(totals.values());
+}
+
+/**
+ * A country's strongest partners, largest first: [{ code, papers }]
+ */
+export function topPartners(pairs, countryCode, n) {
+  return pairs
+    .filter((p) => p.source === countryCode || p.target === countryCode)
+    .map((p) => ({
+      code: p.source === countryCode ? p.target : p.source,
+      papers: p.papers,
+    }))
+    .sort((a, b) => b.papers - a.papers)
+    .slice(0, n);
+}
+
+/**
+ * Square matrix of the n countries with the most collaboration overall,
+ * for d3.chord. Returns { codes, matrix }.
+ */
+export function collaborationMatrix(pairs, n) {
+  const volume = new Map();
+  pairs.forEach((p) => {
+    volume.set(p.source, (volume.get(p.source) || 0) + p.papers);
+    volume.set(p.target, (volume.get(p.target) || 0) + p.papers);
+  });
+
+  const codes = Array.from(volume.keys())
+    .sort((a, b) => volume.get(b) - volume.get(a))
+    .slice(0, n);
+  const index = new Map(codes.map((code, i) => [code, i]));
+
+  const matrix = codes.map(() => new Array(codes.length).fill(0));
+  pairs.forEach((p) => {
+    const i = index.get(p.source);
+    const j = index.get(p.target);
+    if (i === undefined || j === undefined) return;
+    matrix[i][j] += p.papers;
+    matrix[j][i] += p.papers;
+  });
+
+  return { codes, matrix };
+}
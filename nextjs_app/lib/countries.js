@@ -0,0 +1,164 @@
+/**
+ * Country records for the countries API: listing metadata and per-country
+ * detail. The summary file supplies the list of countries and their
+ * names; every figure is derived from the per-year data for the requested
+ * span and subfield.
+ */
+
+import { MIN_YEAR, MAX_YEAR } from './dataUtils';
+import { computeMetrics } from './metrics';
+import { QueryError, parseInteger } from './dataQuery';
+
+/**
+ * Group rows by country_code
+ */
+function byCountry(rows) {
+  const groups = new Map();
+  rows.forEach((d) => {
+    if (!groups.has(d.country_code)) groups.set(d.country_code, []);
+    groups.get(d.country_code).push(d);
+  });
+  return groups;
+}
+
+const round = (value, digits) => (value === null ? null : +value.toFixed(digits));
+
+/**
+ * Read the span and subfield the metrics are computed for: from / to
+ * (default the whole dataset) and subfield
+ *
+ * @param {URLSearchParams} searchParams
+ * @param {Array} subfieldRows - to validate the subfield name
+ */
+export function parseMetricsParams(searchParams, subfieldRows) {
+  const from = parseInteger(searchParams, 'from', { min: MIN_YEAR, max: MAX_YEAR }) ?? MIN_YEAR;
+  const to = parseInteger(searchParams, 'to', { min: MIN_YEAR, max: MAX_YEAR }) ?? MAX_YEAR;
+  if (from > to) {
+    throw new QueryError('from must not be after to', { details: { from, to } });
+  }
+
+  const subfield = searchParams.get('subfield') || null;
+  if (subfield && !subfieldRows.some((d) => d.subfield === subfield)) {
+    throw new QueryError(`Unknown subfield: ${subfield}`, {
+      details: { validSubfields: [...new Set(subfieldRows.map((d) => d.subfield))] },
+    });
+  }
+  return { span: [from, to], subfield };
+}
+
+/**
+ * Build the listing record of every country in the summary
+ *
+ * @param {Object} sources
+ * @param {Array} sources.summary - ai_papers_country_summary.json
+ * @param {Array} sources.countryYear - ai_papers_country_year.json
+ * @param {Array} sources.subfield - ai_papers_country_year_subfield.json
+ * @param {Array} sources.meta - country_meta.json (region, income group)
+ * @param {Object} options
+ * @param {[number, number]} options.span - years the figures cover
+ * @param {string|null} options.subfield - count only this subfield's papers
+ */
+export function buildCountryIndex(
+  { summary, countryYear, subfield, meta },
+  { span = [MIN_YEAR, MAX_YEAR], subfield: onlySubfield = null } = {}
+) {
+  const metrics = computeMetrics(onlySubfield ? subfield : countryYear, { span, subfield: onlySubfield });
+  const subfieldsByCountry = byCountry(subfield);
+  const metaByCountry = new Map(meta.map((d) => [d.country_code, d]));
+  const [startYear, endYear] = span;
+
+  return summary.map((s) => {
+    const code = s.country_code;
+    const m = metrics.get(code);
+
+    const subfieldTotals = new Map();
+    (subfieldsByCountry.get(code) || []).forEach((d) => {
+      if (d.year < startYear || d.year > endYear) return;
+      subfieldTotals.set(d.subfield, (subfieldTotals.get(d.subfield) || 0) + d.papers);
+    });
+    const topSubfield = Array.from(subfieldTotals).reduce(
+      (best, entry) => (!best || entry[1] > best[1] ? entry : best),
+      null
+    );
+
+    const info = metaByCountry.get(code);
+
+    return {
+      code,
+      name: s.country,
+      region: info?.region ?? null,
+      incomeGroup: info?.income_group ?? null,
+      totalPapers: m?.total ?? 0,
+      share: round(m?.share ?? null, 6),
+      rank: m?.rank ?? null,
+      rankChange: m?.rankChange ?? null,
+      growthRatio: round(m?.growthRatio ?? null, 4),
+      cagr: round(m?.cagr ?? null, 4),
+      slope: round(m?.slope ?? null, 1),
+      volatility: round(m?.volatility ?? null, 4),
+      firstYear: m?.firstYear ?? null,
+      lastYear: m?.lastYear ?? null,
+      peakYear: m?.peakYear ?? null,
+      peakPapers: m?.peakPapers ?? null,
+      topSubfield: topSubfield ? topSubfield[0] : null,
+    };
+  });
+}
+
+/**
+ * Match a search term against the start of the code, the name, or any
+ * word of the name ("korea" finds "Korea, Republic of", "states" finds
+ * "United States")
+ */
+export function matchesPrefix(country, term) {
+  const q = term.trim().toLowerCase();
+  if (!q) return true;
+  if (country.code.toLowerCase().startsWith(q)) return true;
+  const name = (country.name || '').toLowerCase();
+  return name.startsWith(q) || name.split(/[\s,()'-]+/).some((word) => word.startsWith(q));
+}
+
+/**
+ * Full detail for one country: its listing record plus the year series,
+ * subfield series and the field breakdown from the node-link data
+ */
+export function buildCountryDetail(record, { countryYear, subfield, nodelink }) {
+  const timeSeries = countryYear
+    .filter((d) => d.country_code === record.code)
+    .sort((a, b) => a.year - b.year)
+    .map((d) => ({ year: d.year, papers: d.papers }));
+
+  const subfieldSeries = new Map();
+  subfield
+    .filter((d) => d.country_code === record.code)
+    .sort((a, b) => a.year - b.year)
+    .forEach((d) => {
+      if (!subfieldSeries.has(d.subfield)) subfieldSeries.set(d.subfield, []);
+      subfieldSeries.get(d.subfield).push({ year: d.year, papers: d.papers });
+    });
+
+  const graph = nodelink[record.code];
+  const fields = graph
+    ? graph.nodes
+      .filter((n) => n.type === 'main')
+      .map((main) => ({
+        field: main.id,
+        papers: main.count,
+        years: main.years || null,
+        subfields: graph.nodes
+          .filter((n) => n.type === 'sub' && n.parent === main.id)
+          .map((n) => ({ subfield: n.id, papers: n.count, years: n.years || null })),
+      }))
+    : [];
+
+  return {
+    ...record,
+    timeSeries,
+    subfields: Array.from(subfieldSeries, ([name, series]) => ({
+      subfield: name,
+      totalPapers: series.reduce((sum, d) => sum + d.papers, 0),
+      series,
+    })),
+    fields,
+  };
+}
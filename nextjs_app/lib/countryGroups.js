@@ -0,0 +1,121 @@
+/**
+ * Country groups: presets for the comparison picker, and regions and
+ * blocs that can be compared as single entities.
+ *
+ * A group entity's code is its name prefixed with GROUP_PREFIX (@EU,
+ * @WESTERN-EUROPE) so it can never collide with an ISO country code.
+ */
+
+export const COUNTRY_GROUPS = {
+  G7: ['US', 'JP', 'DE', 'GB', 'FR', 'IT', 'CA'],
+  EU: [
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+    'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+  ],
+  // Members as of 2025, including the 2024-25 enlargements
+  BRICS: ['BR', 'RU', 'IN', 'CN', 'ZA', 'EG', 'ET', 'IR', 'AE', 'ID'],
+  ASEAN: ['BN', 'KH', 'ID', 'LA', 'MY', 'MM', 'PH', 'SG', 'TH', 'VN'],
+};
+
+export const GROUP_PREFIX = '@';
+
+// Longest name a user-defined group can have
+export const MAX_GROUP_NAME = 24;
+
+// UN M49 subregions by continent (Antarctica left out)
+const UN_REGIONS = {
+  Africa: {
+    'Northern Africa': ['DZ', 'EG', 'LY', 'MA', 'SD', 'TN', 'EH'],
+    'Eastern Africa': [
+      'BI', 'KM', 'DJ', 'ER', 'ET', 'KE', 'MG', 'MW', 'MU', 'YT', 'MZ', 'RE', 'RW',
+      'SC', 'SO', 'SS', 'UG', 'TZ', 'ZM', 'ZW', 'IO', 'TF',
+    ],
+    'Middle Africa': ['AO', 'CM', 'CF', 'TD', 'CG', 'CD', 'GQ', 'GA', 'ST'],
+    'Southern Africa': ['BW', 'SZ', 'LS', 'NA', 'ZA'],
+    'Western Africa': [
+      'BJ', 'BF', 'CV', 'CI', 'GM', 'GH', 'GN', 'GW', 'LR', 'ML', 'MR', 'NE', 'NG',
+      'SH', 'SN', 'SL', 'TG',
+    ],
+  },
+  Americas: {
+    Caribbean: [
+      'AI', 'AG', 'AW', 'BS', 'BB', 'BQ', 'VG', 'KY', 'CU', 'CW', 'DM', 'DO', 'GD', 'GP',
+      'HT', 'JM', 'MQ', 'MS', 'PR', 'BL', 'KN', 'LC', 'MF', 'VC', 'SX', 'TT', 'TC', 'VI',
+    ],
+    'Central America': ['BZ', 'CR', 'SV', 'GT', 'HN', 'MX', 'NI', 'PA'],
+    'South America': ['AR', 'BO', 'BV', 'BR', 'CL', 'CO', 'EC', 'FK', 'GF', 'GY', 'PY', 'PE', 'GS', 'SR', 'UY', 'VE'],
+    'Northern America': ['BM', 'CA', 'GL', 'PM', 'US'],
+  },
+  Asia: {
+    'Central Asia': ['KZ', 'KG', 'TJ', 'TM', 'UZ'],
+    'Eastern Asia': ['CN', 'HK', 'MO', 'KP', 'JP', 'MN', 'KR', 'TW'],
+    'South-eastern Asia': ['BN', 'KH', 'ID', 'LA', 'MY', 'MM', 'PH', 'SG', 'TH', 'TL', 'VN'],
+    'Southern Asia': ['AF', 'BD', 'BT', 'IN', 'IR', 'MV', 'NP', 'PK', 'LK'],
+    'Western Asia': [
+      'AM', 'AZ', 'BH', 'CY', 'GE', 'IQ', 'IL', 'JO', 'KW', 'LB', 'OM', 'QA', 'SA', 'PS',
+      'SY', 'TR', 'AE', 'YE',
+    ],
+  },
+  Europe: {
+    'Eastern Europe': ['BY', 'BG', 'CZ', 'HU', 'PL', 'MD', 'RO', 'RU', 'SK', 'UA'],
+    'Northern Europe': ['AX', 'DK', 'EE', 'FO', 'FI', 'GG', 'IS', 'IE', 'IM', 'JE', 'LV', 'LT', 'NO', 'SJ', 'SE', 'GB'],
+    'Southern Europe': ['AL', 'AD', 'BA', 'HR', 'GI', 'GR', 'VA', 'IT', 'MT', 'ME', 'MK', 'PT', 'SM', 'RS', 'SI', 'ES', 'XK'],
+    'Western Europe': ['AT', 'BE', 'FR', 'DE', 'LI', 'LU', 'MC', 'NL', 'CH'],
+  },
+  Oceania: {
+    'Australia and New Zealand': ['AU', 'NZ', 'NF', 'CX', 'CC', 'HM'],
+    Melanesia: ['FJ', 'NC', 'PG', 'SB', 'VU'],
+    Micronesia: ['GU', 'KI', 'MH', 'FM', 'NR', 'MP', 'PW', 'UM'],
+    Polynesia: ['AS', 'CK', 'PF', 'NU', 'PN', 'WS', 'TK', 'TO', 'TV', 'WF'],
+  },
+};
+
+const BLOC_LABELS = { EU: 'EU-27', G7: 'G7', BRICS: 'BRICS', ASEAN: 'ASEAN' };
+
+/**
+ * Entity code for a group name ("Western Europe" -> "@WESTERN-EUROPE")
+ */
+export function groupCode(name) {
+  return GROUP_PREFIX + name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function isGroupCode(code) {
+  return typeof code === 'string' && code.startsWith(GROUP_PREFIX);
+}
+
+/**
+ * Built-in groups, in picker order: blocs, continents, then subregions
+ */
+export const BUILTIN_GROUPS = [
+  ...Object.entries(BLOC_LABELS).map(([name, label]) => ({
+    code: groupCode(name), label, kind: 'bloc', members: COUNTRY_GROUPS[name],
+  })),
+  ...Object.entries(UN_REGIONS).map(([name, subregions]) => ({
+    code: groupCode(name), label: name, kind: 'continent', members: Object.values(subregions).flat(),
+  })),
+  ...Object.values(UN_REGIONS).flatMap((subregions) => Object.entries(subregions).map(([name, members]) => ({
+    code: groupCode(name), label: name, kind: 'subregion', members,
+  }))),
+];
+
+export const BUILTIN_GROUP_CODES = new Set(BUILTIN_GROUPS.map((g) => g.code));
+
+/**
+ * Every group usable as an entity: the built-ins plus user-defined ones,
+ * with members limited to countries in the data. Groups with no such
+ * members are left out.
+ *
+ * @param {Array<{name: string, members: string[]}>} customGroups
+ * @param {Set<string>} countryCodes - countries in the data
+ * @returns {Map<string, {code, label, kind, members}>}
+ */
+export function buildGroupIndex(customGroups, countryCodes) {
+  const index = new Map();
+  const add = (group) => {
+    const members = group.members.filter((c) => countryCodes.has(c));
+    if (members.length) index.set(group.code, { ...group, members });
+  };
+  BUILTIN_GROUPS.forEach(add);
+  customGroups.forEach(({ name, members }) => add({ code: groupCode(name), label: name, kind: 'custom', members }));
+  return index;
+}
@@ -0,0 +1,354 @@
+/**
+ * Query language of /api/data: parsing, validation and execution
+ *
+ * Parameters (all optional except where noted):
+ * - type: dataset, see DATASETS, or 'all' (filters only)
+ * - countries: comma-separated codes, e.g. CN,US (`country` also accepted)
+ * - year, or from / to: a single year or an inclusive range
+ * - subfields: comma-separated subfield names (`subfield` also accepted)
+ * - groupBy: comma-separated dimensions, e.g. country,year; sums the measure
+ * - sort: comma-separated fields, `-` prefix for descending, e.g. -papers,year
+ * - top: keep the first N rows after sorting (per topBy value if given)
+ * - topBy: dimension to rank within, e.g. top=10&topBy=year
+ * - page, pageSize: 1-based pagination
+ */
+
+import { MIN_YEAR, MAX_YEAR } from './dataUtils';
+
+// Dimensions map query names to row fields; the measure is what groupBy sums
+export const DATASETS = {
+  'country-year': {
+    dimensions: { country: 'country_code', year: 'year' },
+    measure: 'papers',
+  },
+  'subfield': {
+    dimensions: { country: 'country_code', year: 'year', subfield: 'subfield' },
+    measure: 'papers',
+  },
+  'summary': {
+    dimensions: { country: 'country_code' },
+    measure: 'total_papers',
+  },
+  'collaboration': {
+    // A country filter matches either side of the pair
+    dimensions: { year: 'year', source: 'source', target: 'target' },
+    measure: 'papers',
+    countryFields: ['source', 'target'],
+  },
+  'population': {
+    dimensions: { country: 'country_code' },
+    measure: 'population',
+  },
+  'gdp': {
+    dimensions: { country: 'country_code' },
+    measure: 'gdp_usd',
+  },
+  // Keyed by country code rather than rows; only the country filter applies
+  'nodelink': { keyed: true },
+};
+
+export const MAX_PAGE_SIZE = 5000;
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * An invalid request; the route turns it into an error response
+ */
+export class QueryError extends Error {
+  constructor(message, { status = 400, code = 'invalid_parameter', details } = {}) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function parseList(value) {
+  if (!value) return null;
+  const items = value.split(',').map((s) => s.trim()).filter(Boolean);
+  return items.length ? [...new Set(items)] : null;
+}
+
+export function parseInteger(searchParams, name, { min, max } = {}) {
+  const value = searchParams.get(name);
+  if (value === null || value === '') return null;
+  if (!/^-?\d+$/.test(value)) {
+    throw new QueryError(`${name} must be an integer`, { details: { [name]: value } });
+  }
+  const number = parseInt(value, 10);
+  if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+    throw new QueryError(
+      `${name} must be between ${min ?? '-∞'} and ${max ?? '∞'}`,
+      { details: { [name]: value } }
+    );
+  }
+  return number;
+}
+
+/**
+ * Parse `sort=-papers,year` into [{ field, descending }]
+ */
+export function parseSort(searchParams) {
+  return (parseList(searchParams.get('sort')) || []).map((key) => (
+    key.startsWith('-') ? { field: key.slice(1), descending: true } : { field: key, descending: false }
+  ));
+}
+
+/**
+ * Read page / pageSize; a page size alone implies page 1
+ */
+export function parsePagination(searchParams) {
+  const page = parseInteger(searchParams, 'page', { min: 1 });
+  const pageSize = parseInteger(searchParams, 'pageSize', { min: 1, max: MAX_PAGE_SIZE });
+  return {
+    page: page ?? (pageSize ? 1 : null),
+    pageSize: pageSize ?? (page ? DEFAULT_PAGE_SIZE : null),
+  };
+}
+
+/**
+ * Read and validate a query from URLSearchParams
+ */
+export function parseQuery(searchParams) {
+  const type = searchParams.get('type') || 'all';
+  if (type !== 'all' && !DATASETS[type]) {
+    throw new QueryError(`Invalid type: ${type}`, {
+      details: { validTypes: [...Object.keys(DATASETS), 'all'] },
+    });
+  }
+
+  const countries = parseList(searchParams.get('countries') || searchParams.get('country'));
+  const subfields = parseList(searchParams.get('subfields') || searchParams.get('subfield'));
+
+  const year = parseInteger(searchParams, 'year', { min: MIN_YEAR, max: MAX_YEAR });
+  let from = parseInteger(searchParams, 'from', { min: MIN_YEAR, max: MAX_YEAR });
+  let to = parseInteger(searchParams, 'to', { min: MIN_YEAR, max: MAX_YEAR });
+  if (year !== null) {
+    if (from !== null || to !== null) {
+      throw new QueryError('Use either year or from/to, not both');
+    }
+    from = year;
+    to = year;
+  }
+  if (from !== null && to !== null && from > to) {
+    throw new QueryError('from must not be after to', { details: { from, to } });
+  }
+
+  return {
+    type,
+    countries: countries && countries.map((c) => c.toUpperCase()),
+    subfields,
+    from,
+    to,
+    groupBy: parseList(searchParams.get('groupBy')),
+    sort: parseSort(searchParams),
+    top: parseInteger(searchParams, 'top', { min: 1 }),
+    topBy: searchParams.get('topBy') || null,
+    ...parsePagination(searchParams),
+  };
+}
+
+/**
+ * Stable string form of a query, for cache keys and ETags
+ */
+export function canonicalQuery(query) {
+  // Built key by key: a replacer array would also filter the keys of
+  // nested objects and blank out every sort entry
+  const canonical = {};
+  Object.keys(query).sort().forEach((key) => {
+    canonical[key] = key === 'sort'
+      ? query.sort.map(({ field, descending }) => `${descending ? '-' : ''}${field}`).join(',')
+      : query[key];
+  });
+  return JSON.stringify(canonical);
+}
+
+/**
+ * The filters of a query, as echoed back in the response metadata
+ */
+export function describeFilters({ countries, subfields, from, to }) {
+  const filters = {};
+  if (countries) filters.countries = countries;
+  if (subfields) filters.subfields = subfields;
+  if (from !== null) filters.from = from;
+  if (to !== null) filters.to = to;
+  return filters;
+}
+
+/**
+ * Reject parameters a dataset can't honour. With `strict` off (type=all),
+ * inapplicable filters are skipped instead.
+ */
+export function validateForDataset(type, query, { strict = true } = {}) {
+  const config = DATASETS[type];
+
+  if (config.keyed) {
+    const unsupported = ['from', 'to', 'subfields', 'groupBy', 'top', 'page']
+      .filter((name) => query[name] !== null && (!Array.isArray(query[name]) || query[name].length));
+    if (strict && (unsupported.length || query.sort.length)) {
+      throw new QueryError(`type=${type} only supports the countries filter`, {
+        details: { unsupported: query.sort.length ? [...unsupported, 'sort'] : unsupported },
+      });
+    }
+    return;
+  }
+
+  if (!strict) return;
+
+  const { dimensions } = config;
+  if (query.subfields && !dimensions.subfield) {
+    throw new QueryError(`type=${type} has no subfields to filter`);
+  }
+  if ((query.from !== null || query.to !== null) && !dimensions.year) {
+    throw new QueryError(`type=${type} has no years to filter`);
+  }
+  if (query.countries && !dimensions.country && !config.countryFields) {
+    throw new QueryError(`type=${type} has no countries to filter`);
+  }
+
+  (query.groupBy || []).forEach((dimension) => {
+    if (!dimensions[dimension]) {
+      throw new QueryError(`Cannot group type=${type} by ${dimension}`, {
+        details: { validDimensions: Object.keys(dimensions) },
+      });
+    }
+  });
+
+  if (query.topBy) {
+    if (!query.top) throw new QueryError('topBy needs top');
+    const dims = query.groupBy || Object.keys(dimensions);
+    if (!dims.includes(query.topBy)) {
+      throw new QueryError(`Cannot rank within ${query.topBy}`, {
+        details: { validDimensions: dims },
+      });
+    }
+  }
+}
+
+/**
+ * Filter rows (or the keyed node-link object) by countries, years and subfields
+ */
+export function filterDataset(type, data, { countries, subfields, from, to }) {
+  const config = DATASETS[type];
+
+  if (config.keyed) {
+    if (!countries) return data;
+    return Object.fromEntries(countries.filter((c) => data[c]).map((c) => [c, data[c]]));
+  }
+
+  const { dimensions } = config;
+  const countryFields = config.countryFields || (dimensions.country ? [dimensions.country] : []);
+  const countrySet = countries && countryFields.length ? new Set(countries) : null;
+  const subfieldSet = subfields && dimensions.subfield ? new Set(subfields) : null;
+  const yearField = dimensions.year;
+
+  return data.filter((d) => {
+    if (countrySet && !countryFields.some((f) => countrySet.has(d[f]))) return false;
+    if (subfieldSet && !subfieldSet.has(d[dimensions.subfield])) return false;
+    if (yearField && from !== null && d[yearField] < from) return false;
+    if (yearField && to !== null && d[yearField] > to) return false;
+    return true;
+  });
+}
+
+/**
+ * Sum the measure over the groupBy dimensions. Country names ride along
+ * when rows are grouped by country.
+ */
+function groupRows(rows, groupBy, { dimensions, measure }) {
+  const fields = groupBy.map((d) => dimensions[d]);
+  const keepName = fields.includes('country_code');
+  const groups = new Map();
+
+  rows.forEach((d) => {
+    const key = fields.map((f) => d[f]).join('\u0000');
+    let group = groups.get(key);
+    if (!group) {
+      group = {};
+      fields.forEach((f) => { group[f] = d[f]; });
+      if (keepName && d.country) group.country = d.country;
+      group[measure] = 0;
+      groups.set(key, group);
+    }
+    group[measure] += d[measure] || 0;
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Comparator for [{ field, descending }]; missing values sort last
+ */
+export function compareBy(sort) {
+  return (a, b) => {
+    for (const { field, descending } of sort) {
+      const x = a[field];
+      const y = b[field];
+      if (x === y) continue;
+      if (x === undefined || x === null) return 1;
+      if (y === undefined || y === null) return -1;
+      const order = x < y ? -1 : 1;
+      return descending ? -order : order;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Run the aggregation part of a query on filtered rows, then paginate
+ */
+export function shapeRows(type, rows, query) {
+  const config = DATASETS[type];
+  let result = query.groupBy ? groupRows(rows, query.groupBy, config) : rows;
+
+  if (query.sort.length && result.length) {
+    const fields = Object.keys(result[0]);
+    query.sort.forEach(({ field }) => {
+      if (!fields.includes(field)) {
+        throw new QueryError(`Cannot sort by ${field}`, { details: { validFields: fields } });
+      }
+    });
+  }
+
+  // top without an explicit sort ranks by the measure
+  const sort = query.sort.length || !query.top
+    ? query.sort
+    : [{ field: config.measure, descending: true }];
+  if (sort.length) result = [...result].sort(compareBy(sort));
+
+  if (query.top) {
+    if (query.topBy) {
+      const field = config.dimensions[query.topBy];
+      const seen = new Map();
+      result = result.filter((d) => {
+        const n = (seen.get(d[field]) || 0) + 1;
+        seen.set(d[field], n);
+        return n <= query.top;
+      });
+    } else {
+      result = result.slice(0, query.top);
+    }
+  }
+
+  return paginate(result, query);
+}
+
+/**
+ * Slice one page of rows; without a page, everything is one page.
+ * Returns { rows, total, page, pageSize, pages }.
+ */
+export function paginate(rows, { page, pageSize }) {
+  const total = rows.length;
+  if (!page) {
+    return { rows, total, page: 1, pageSize: total, pages: 1 };
+  }
+
+  const start = (page - 1) * pageSize;
+  return {
+    rows: rows.slice(start, start + pageSize),
+    total,
+    page,
+    pageSize,
+    pages: Math.max(1, Math.ceil(total / pageSize)),
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Server-side access to the data files in public/
+ *
+ * Parsed files are kept in memory and reused until the file's mtime or
+ * size changes, so regenerating data doesn't need a server restart.
+ * Only import this from route handlers (it uses the file system).
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { join } from 'path';
+import { buildCountryIndex } from './countries';
+import { completeYearGrowth } from './metrics';
+
+export const DATA_FILES = {
+  'country-year': 'ai_papers_country_year.json',
+  'summary': 'ai_papers_country_summary.json',
+  'subfield': 'ai_papers_country_year_subfield.json',
+  'nodelink': 'node_link_by_country.json',
+  // Not bundled: written by data_processing/fetch_collaborations.py
+  'collaboration': 'ai_papers_collaboration_year.json',
+  'population': 'population.json',
+  'gdp': 'gdp.json',
+  'country-meta': 'country_meta.json',
+};
+
+const cache = new Map(); // type (or 'summary-growth') -> { data, version }
+
+/**
+ * Load a dataset by type. Returns { data, version } or null if the file
+ * doesn't exist; `version` changes whenever the file (or, for the
+ * summary, the country-year file) does.
+ */
+export async function loadDataset(type) {
+  const entry = await loadFile(type);
+  if (type !== 'summary' || !entry) return entry;
+
+  // The file's growth figures may end at a partial year; derive them
+  // from the country-year rows instead
+  const countryYear = await loadFile('country-year');
+  if (!countryYear) return entry;
+  const version = `${entry.version}|${countryYear.version}`;
+  const cached = cache.get('summary-growth');
+  if (cached && cached.version === version) return cached;
+
+  const growth = completeYearGrowth(countryYear.data);
+  const derived = {
+    data: entry.data.map((s) => ({ ...s, ...growth.get(s.country_code) })),
+    version,
+  };
+  cache.set('summary-growth', derived);
+  return derived;
+}
+
+async function loadFile(type) {
+  const filepath = join(process.cwd(), 'public', DATA_FILES[type]);
+
+  let info;
+  try {
+    info = await stat(filepath);
+  } catch {
+    cache.delete(type);
+    return null;
+  }
+
+  const version = `${info.mtimeMs}-${info.size}`;
+  const cached = cache.get(type);
+  if (cached && cached.version === version) return cached;
+
+  const entry = {
+    data: JSON.parse(await readFile(filepath, 'utf-8')),
+    version,
+  };
+  cache.set(type, entry);
+  return entry;
+}
+
+// Files the countries API reads; country-meta is optional
+const COUNTRY_SOURCES = ['summary', 'country-year', 'subfield', 'nodelink', 'country-meta'];
+let countryIndexCache = null;
+
+/**
+ * Country listing records plus the files they came from. The index is
+ * rebuilt only when one of those files changes. Returns null if a
+ * required file is missing.
+ */
+export async function loadCountryIndex() {
+  const [summary, countryYear, subfield, nodelink, meta] = await Promise.all(
+    COUNTRY_SOURCES.map(loadDataset)
+  );
+  if (!summary || !countryYear || !subfield || !nodelink) return null;
+
+  const version = [summary, countryYear, subfield, nodelink, meta]
+    .map((d) => d?.version || 'missing')
+    .join('|');
+
+  if (countryIndexCache?.version !== version) {
+    const sources = {
+      summary: summary.data,
+      countryYear: countryYear.data,
+      subfield: subfield.data,
+      nodelink: nodelink.data,
+      meta: meta?.data || [],
+    };
+    countryIndexCache = { index: buildCountryIndex(sources), sources, version };
+  }
+  return countryIndexCache;
+}
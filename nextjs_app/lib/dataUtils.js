@@ -20,32 +20,6 @@ export function getTopCountries(summaryData, n = 10) {
     );
   }
   
-  /**
-   * Calculate growth metrics for a country
-   */
-  export function calculateGrowth(data, countryCode, startYear = 2010, endYear = 2025) {
-    const countryData = data
-      .filter((d) => d.country_code === countryCode)
-      .sort((a, b) => a.year - b.year);
-  
-    const startPapers = countryData.find((d) => d.year === startYear)?.papers || 0;
-    const endPapers = countryData.find((d) => d.year === endYear)?.papers || 0;
-  
-    const growthRatio = startPapers > 0 ? endPapers / startPapers : 0;
-    const cagr = startPapers > 0
-      ? Math.pow(endPapers / startPapers, 1 / (endYear - startYear)) - 1
-      : 0;
-  
-    return {
-      countryCode,
-      startPapers,
-      endPapers,
-      growthRatio,
-      cagr,
-      totalPapers: countryData.reduce((sum, d) => sum + d.papers, 0),
-    };
-  }
-  
   /**
    * Aggregate subfield data by country
    */
@@ -91,4 +65,283 @@ export function getTopCountries(summaryData, n = 10) {
   export function getColorForValue(value, min, max, colorScale) {
     const normalized = (value - min) / (max - min);
     return colorScale(Math.max(0, Math.min(1, normalized)));
-  }
\ No newline at end of file
+  }
+  
+  /**
+   * First and last year covered by the dataset
+   */
+  export const MIN_YEAR = 2010;
+  export const MAX_YEAR = 2025;
+  
+  /**
+   * Years whose data is still incomplete (indexing lags publication), so
+   * their counts understate the real output. Views draw them dashed or
+   * hatched, and trend fits leave them out.
+   */
+  export const PARTIAL_YEARS = [2025];
+  
+  export function isPartialYear(year) {
+    return PARTIAL_YEARS.includes(year);
+  }
+  
+  /**
+   * Partial years within an inclusive year span
+   */
+  export function partialYearsIn([startYear, endYear]) {
+    return PARTIAL_YEARS.filter((year) => year >= startYear && year <= endYear);
+  }
+  
+  /**
+   * Resolve the active period as an inclusive [start, end] span.
+   * A brushed range wins over the single selected year.
+   */
+  export function getYearSpan(selectedYear, yearRange) {
+    if (yearRange) {
+      return [yearRange[0], yearRange[1]];
+    }
+    return [selectedYear, selectedYear];
+  }
+  
+  /**
+   * Format a year span for labels, e.g. "2021" or "2018–2022"
+   */
+  export function formatYearSpan([startYear, endYear]) {
+    return startYear === endYear ? `${startYear}` : `${startYear}–${endYear}`;
+  }
+  
+  /**
+   * Sum papers per country over an inclusive year span
+   */
+  export function sumPapersByCountry(data, [startYear, endYear]) {
+    const totals = new Map();
+    data.forEach((d) => {
+      if (d.year < startYear || d.year > endYear) return;
+      totals.set(d.country_code, (totals.get(d.country_code) || 0) + d.papers);
+    });
+    return totals;
+  }
+  
+  /**
+   * Growth rate (%) per country for a span.
+   * A single year gives year-over-year growth; a longer span gives the
+   * compound annual growth rate between its first and last year.
+   */
+  export function computeGrowthByCountry(data, [startYear, endYear]) {
+    const baseYear = startYear === endYear ? startYear - 1 : startYear;
+    const periods = endYear - baseYear;
+  
+    const base = new Map();
+    const end = new Map();
+    data.forEach((d) => {
+      if (d.year === baseYear) base.set(d.country_code, d.papers);
+      if (d.year === endYear) end.set(d.country_code, d.papers);
+    });
+  
+    const growth = new Map();
+    end.forEach((papers, code) => {
+      const basePapers = base.get(code);
+      if (basePapers && basePapers > 0) {
+        growth.set(code, (Math.pow(papers / basePapers, 1 / periods) - 1) * 100);
+      }
+    });
+    return growth;
+  }
+  
+  /**
+   * Node-link counts for a year span. Each node gets `count` (null when
+   * unknown) and `status`:
+   * - 'measured': summed from the node's per-year counts (`years`), or
+   *   for main fields, from the per-year subfield data
+   * - 'estimated': an all-time count scaled by the share of the country's
+   *   papers (or its parent field's) that fall in the span
+   * - 'missing': no usable count. Files without per-year counts can't
+   *   tell a failed fetch from a true zero, so their zeros count as missing.
+   */
+  export function nodeLinkForSpan(graph, countryCode, [startYear, endYear], data, subfieldData) {
+    const inSpan = (year) => year >= startYear && year <= endYear;
+  
+    const spanShare = (rows) => {
+      let spanPapers = 0;
+      let total = 0;
+      rows.forEach((d) => {
+        if (d.country_code !== countryCode) return;
+        total += d.papers;
+        if (inSpan(d.year)) spanPapers += d.papers;
+      });
+      return total > 0 ? spanPapers / total : null;
+    };
+  
+    const countryShare = spanShare(data) ?? 0;
+    const fieldRows = {};
+    const fieldShares = {};
+    graph.nodes
+      .filter((n) => n.type === 'main')
+      .forEach((n) => {
+        fieldRows[n.id] = subfieldData.filter((d) => d.subfield === n.id && d.country_code === countryCode);
+        fieldShares[n.id] = spanShare(fieldRows[n.id]) ?? countryShare;
+      });
+  
+    const countNode = (n) => {
+      if (n.years) {
+        let count = 0;
+        for (let year = startYear; year <= endYear; year += 1) count += n.years[year] || 0;
+        return { count, status: 'measured' };
+      }
+      if (n.type === 'main' && fieldRows[n.id].length) {
+        const count = fieldRows[n.id].reduce((sum, d) => sum + (inSpan(d.year) ? d.papers : 0), 0);
+        return { count, status: 'measured' };
+      }
+      if (!n.count) return { count: null, status: 'missing' };
+      const share = fieldShares[n.type === 'main' ? n.id : n.parent] ?? countryShare;
+      return { count: Math.round(n.count * share), status: 'estimated' };
+    };
+  
+    return {
+      ...graph,
+      nodes: graph.nodes.map((n) => ({ ...n, ...countNode(n) })),
+    };
+  }
+  
+  /**
+   * One row per year with a column of papers per subfield, for stacking.
+   * Years with no row for a subfield get 0 so the stack stays continuous.
+   */
+  export function subfieldsByYear(subfieldData, countryCode, subfields) {
+    const rows = new Map();
+    for (let year = MIN_YEAR; year <= MAX_YEAR; year += 1) {
+      rows.set(year, { year, ...Object.fromEntries(subfields.map((s) => [s, 0])) });
+    }
+    subfieldData.forEach((d) => {
+      if (d.country_code !== countryCode || !rows.has(d.year)) return;
+      rows.get(d.year)[d.subfield] = (rows.get(d.year)[d.subfield] || 0) + d.papers;
+    });
+    return Array.from(rows.values());
+  }
+  
+  /**
+   * Rank countries by papers within each year (1 = most papers).
+   * Returns year -> Map of code -> { rank, papers }.
+   */
+  export function rankCountriesByYear(rows) {
+    const byYear = new Map();
+    rows.forEach((d) => {
+      if (!byYear.has(d.year)) byYear.set(d.year, new Map());
+      const totals = byYear.get(d.year);
+      totals.set(d.country_code, (totals.get(d.country_code) || 0) + d.papers);
+    });
+  
+    const ranks = new Map();
+    byYear.forEach((totals, year) => {
+      const sorted = Array.from(totals).sort((a, b) => b[1] - a[1]);
+      ranks.set(year, new Map(sorted.map(([code, papers], i) => [code, { rank: i + 1, papers }])));
+    });
+    return ranks;
+  }
+  
+  /**
+   * Merge several countries' span graphs (from nodeLinkForSpan) into one
+   * tree. Each node's `count` is the sum of the known counts and `slices`
+   * holds each country's own count (null when missing).
+   *
+   * @param {Array<{code: string, graph: Object}>} graphs
+   */
+  export function mergeNodeLinks(graphs) {
+    if (!graphs.length) return { nodes: [], links: [] };
+  
+    const byCountry = graphs.map(({ code, graph }) => ({
+      code,
+      nodes: new Map(graph.nodes.map((n) => [n.id, n])),
+    }));
+    const base = graphs[0].graph;
+  
+    return {
+      ...base,
+      nodes: base.nodes.map((n) => {
+        const slices = byCountry.map(({ code, nodes }) => ({ code, count: nodes.get(n.id)?.count ?? null }));
+        const statuses = byCountry.map(({ nodes }) => nodes.get(n.id)?.status ?? 'missing');
+        const known = slices.filter((s) => s.count !== null);
+        let status = 'measured';
+        if (!known.length) status = 'missing';
+        else if (statuses.includes('estimated')) status = 'estimated';
+        return {
+          ...n,
+          count: known.length ? known.reduce((sum, s) => sum + s.count, 0) : null,
+          status,
+          slices,
+        };
+      }),
+    };
+  }
+  
+  /**
+   * Relative specialization of a country in each field and subfield over a
+   * span: its share of the field's papers divided by its share of all AI
+   * papers, both measured across the countries in the node-link data.
+   * Above 1 means the country is unusually strong in that field. Nodes
+   * whose count is missing get `rca` null.
+   */
+  export function fieldSpecialization(nodeLinkData, countryCode, span, data, subfieldData) {
+    const codes = Object.keys(nodeLinkData);
+    const papers = sumPapersByCountry(data, span);
+    const graphs = new Map(codes.map((code) => [
+      code,
+      nodeLinkForSpan(nodeLinkData[code], code, span, data, subfieldData),
+    ]));
+  
+    // Field totals over the countries with a known count for that field
+    const fieldTotals = new Map();
+    const aiTotals = new Map();
+    graphs.forEach((graph, code) => {
+      graph.nodes.forEach((n) => {
+        if (n.count === null) return;
+        fieldTotals.set(n.id, (fieldTotals.get(n.id) || 0) + n.count);
+        aiTotals.set(n.id, (aiTotals.get(n.id) || 0) + (papers.get(code) || 0));
+      });
+    });
+  
+    const graph = graphs.get(countryCode);
+    const countryPapers = papers.get(countryCode) || 0;
+    return {
+      ...graph,
+      nodes: graph.nodes.map((n) => {
+        const fieldTotal = fieldTotals.get(n.id);
+        const aiTotal = aiTotals.get(n.id);
+        const rca = n.count !== null && fieldTotal && aiTotal && countryPapers
+          ? (n.count / fieldTotal) / (countryPapers / aiTotal)
+          : null;
+        return { ...n, rca };
+      }),
+    };
+  }
+  
+  /**
+   * Sum per-country rows over each group's members into rows keyed by the
+   * group code, so a region or bloc can stand in wherever a country's rows
+   * are used. Rows are summed per year, and per subfield when they have
+   * one. Papers co-authored by two members count once for each, as they
+   * do in the per-country data.
+   *
+   * @param {Array} rows - country-year or country-year-subfield rows
+   * @param {Array<{code, label, members}>} groups
+   */
+  export function aggregateGroupRows(rows, groups) {
+    return groups.flatMap((group) => {
+      const members = new Set(group.members);
+      const totals = new Map();
+      rows.forEach((d) => {
+        if (!members.has(d.country_code)) return;
+        const key = d.subfield === undefined ? d.year : `${d.year}|${d.subfield}`;
+        if (!totals.has(key)) {
+          totals.set(key, {
+            ...(d.subfield === undefined ? {} : { subfield: d.subfield }),
+            year: d.year,
+            country_code: group.code,
+            country: group.label,
+            papers: 0,
+          });
+        }
+        totals.get(key).papers += d.papers;
+      });
+      return Array.from(totals.values()).sort((a, b) => a.year - b.year);
+    });
+  }
@@ -0,0 +1,295 @@
+/**
+ * User datasets: reading CSV or JSON files, mapping their columns onto
+ * the shapes of the built-in files and validating them row by row
+ */
+
+import * as d3 from 'd3';
+import { MIN_YEAR, MAX_YEAR } from './dataUtils';
+
+// Largest file read in the browser
+export const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+// Errors listed per file; the rest are only counted
+export const MAX_LISTED_ERRORS = 50;
+
+/**
+ * Files a dataset is made of, in upload order. Tabular kinds map columns
+ * onto `fields`; `aliases` are the column names picked automatically.
+ */
+export const DATASET_KINDS = {
+  'country-year': {
+    label: 'Country-year',
+    description: 'Papers per country and year, like ai_papers_country_year.json',
+    required: true,
+    fields: [
+      { key: 'country_code', label: 'Country code', required: true, aliases: ['code', 'iso2', 'iso_a2', 'alpha2', 'country_iso2'] },
+      { key: 'year', label: 'Year', required: true, aliases: ['publication_year', 'yr'] },
+      { key: 'papers', label: 'Papers', required: true, aliases: ['count', 'works', 'works_count', 'n', 'value'] },
+      { key: 'country', label: 'Country name', required: false, aliases: ['country_name', 'name'] },
+    ],
+  },
+  subfield: {
+    label: 'Country-year-subfield',
+    description: 'Papers per country, year and subfield, like ai_papers_country_year_subfield.json',
+    required: false,
+    fields: [
+      { key: 'country_code', label: 'Country code', required: true, aliases: ['code', 'iso2', 'iso_a2', 'alpha2', 'country_iso2'] },
+      { key: 'year', label: 'Year', required: true, aliases: ['publication_year', 'yr'] },
+      { key: 'subfield', label: 'Subfield', required: true, aliases: ['field', 'topic', 'concept'] },
+      { key: 'papers', label: 'Papers', required: true, aliases: ['count', 'works', 'works_count', 'n', 'value'] },
+      { key: 'country', label: 'Country name', required: false, aliases: ['country_name', 'name'] },
+    ],
+  },
+  nodelink: {
+    label: 'Node-link tree',
+    description: 'JSON keyed by country code, like node_link_by_country.json',
+    required: false,
+    fields: null,
+  },
+};
+
+export const DATASET_KIND_ORDER = ['country-year', 'subfield', 'nodelink'];
+
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+/**
+ * Parse a file's text. Tabular kinds accept CSV (with a header row) or a
+ * JSON array of objects, optionally wrapped as { data: [...] } like the
+ * data API; the node-link kind accepts its JSON object.
+ *
+ * @returns {{ columns: string[], records: Object[], rowBase: number, rowLabel: string } | { json: Object }}
+ * @throws {Error} when the file can't be read as that kind
+ */
+export function readDatasetFile(text, fileName, kind) {
+  const body = text.replace(/^\uFEFF/, '');
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(body);
+
+  if (kind === 'nodelink') {
+    if (!isJson) throw new Error('The node-link tree must be a JSON file');
+    const json = parseJson(body);
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new Error('Expected a JSON object keyed by country code');
+    }
+    return { json };
+  }
+
+  if (isJson) {
+    const json = parseJson(body);
+    const records = Array.isArray(json) ? json : json?.data;
+    if (!Array.isArray(records) || records.some((r) => !r || typeof r !== 'object' || Array.isArray(r))) {
+      throw new Error('Expected a JSON array of objects (or { "data": [...] })');
+    }
+    const columns = [...new Set(records.flatMap((r) => Object.keys(r)))];
+    return { columns, records, rowBase: 1, rowLabel: 'Record' };
+  }
+
+  const records = d3.csvParse(body);
+  if (!records.columns.length || !records.length) {
+    throw new Error('The CSV has no header row or no data rows');
+  }
+  // Line 1 is the header
+  return { columns: records.columns, records, rowBase: 2, rowLabel: 'Line' };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Pick a column for every field by name (case and punctuation ignored)
+ *
+ * @returns {Object<string, string>} field key -> column name ('' when none)
+ */
+export function guessColumnMapping(columns, kind) {
+  const byName = new Map(columns.map((c) => [normalizeName(c), c]));
+  const mapping = {};
+  DATASET_KINDS[kind].fields.forEach((field) => {
+    const match = [field.key, ...field.aliases].find((name) => byName.has(name));
+    mapping[field.key] = match ? byName.get(match) : '';
+  });
+  return mapping;
+}
+
+/**
+ * Validate mapped records and convert them to rows in the built-in shape.
+ * Rows with an error are skipped and reported; years outside
+ * MIN_YEAR-MAX_YEAR count as errors since the dashboard can't show them.
+ *
+ * @param {{ records, rowBase, rowLabel }} table - from readDatasetFile
+ * @param {Object<string, string>} mapping - from guessColumnMapping
+ * @param {string} kind - 'country-year' or 'subfield'
+ * @returns {{ rows: Object[], errors: Array<{where, message}>, errorCount: number, unmapped: string[] }}
+ */
+export function validateTable({ records, rowBase, rowLabel }, mapping, kind) {
+  const { fields } = DATASET_KINDS[kind];
+  const unmapped = fields.filter((f) => f.required && !mapping[f.key]).map((f) => f.label);
+  if (unmapped.length) return { rows: [], errors: [], errorCount: 0, unmapped };
+
+  const rows = [];
+  const errors = [];
+  let errorCount = 0;
+  const seen = new Map();
+
+  records.forEach((record, i) => {
+    const where = `${rowLabel} ${i + rowBase}`;
+    const fail = (message) => {
+      errorCount += 1;
+      if (errors.length < MAX_LISTED_ERRORS) errors.push({ where, message });
+    };
+    const value = (key) => {
+      const raw = record[mapping[key]];
+      return raw === undefined || raw === null ? '' : String(raw).trim();
+    };
+
+    const code = value('country_code').toUpperCase();
+    if (!/^[A-Z]{2}$/.test(code)) {
+      fail(`${mapping.country_code} "${value('country_code')}" is not a 2-letter ISO country code`);
+      return;
+    }
+
+    const yearText = value('year');
+    if (!/^\d{4}$/.test(yearText)) {
+      fail(`${mapping.year} "${yearText}" is not a year`);
+      return;
+    }
+    const year = parseInt(yearText, 10);
+    if (year < MIN_YEAR || year > MAX_YEAR) {
+      fail(`${mapping.year} ${year} is outside ${MIN_YEAR}–${MAX_YEAR}`);
+      return;
+    }
+
+    const papersText = value('papers');
+    const papers = papersText === '' ? NaN : Number(papersText);
+    if (!Number.isFinite(papers) || papers < 0) {
+      fail(`${mapping.papers} "${papersText}" is not a non-negative number`);
+      return;
+    }
+
+    const subfield = kind === 'subfield' ? value('subfield') : null;
+    if (kind === 'subfield' && !subfield) {
+      fail(`${mapping.subfield} is empty`);
+      return;
+    }
+
+    const key = [code, year, subfield].join('|');
+    if (seen.has(key)) {
+      fail(`Duplicate of ${seen.get(key)} (${code} ${year}${subfield ? `, ${subfield}` : ''})`);
+      return;
+    }
+    seen.set(key, where);
+
+    const row = { year, country_code: code, papers };
+    if (subfield) row.subfield = subfield;
+    if (mapping.country && value('country')) row.country = value('country');
+    rows.push(row);
+  });
+
+  return { rows, errors, errorCount, unmapped };
+}
+
+/**
+ * Validate a node-link tree: { CODE: { nodes: [{ id, type, count,
+ * years, parent }], links: [{ source, target }] } }. Links may be left out;
+ * they're derived from the sub nodes' parents. A country with an error
+ * is skipped as a whole.
+ *
+ * @returns {{ graphs: Object, errors: Array<{where, message}>, errorCount: number }}
+ */
+export function validateNodeLink(json) {
+  const graphs = {};
+  const errors = [];
+  let errorCount = 0;
+
+  Object.entries(json).forEach(([key, graph]) => {
+    const code = key.trim().toUpperCase();
+    const fail = (message) => {
+      errorCount += 1;
+      if (errors.length < MAX_LISTED_ERRORS) errors.push({ where: key, message });
+    };
+
+    if (!/^[A-Z]{2}$/.test(code)) return fail('Key is not a 2-letter ISO country code');
+    if (!Array.isArray(graph?.nodes) || !graph.nodes.length) return fail('No nodes array');
+
+    const ids = new Set();
+    const mains = new Set(graph.nodes.filter((n) => n?.type === 'main').map((n) => n.id));
+    for (let i = 0; i < graph.nodes.length; i += 1) {
+      const node = graph.nodes[i];
+      const label = `Node ${i + 1}`;
+      if (!node || typeof node.id !== 'string' || !node.id.trim()) return fail(`${label} has no id`);
+      if (ids.has(node.id)) return fail(`${label}: duplicate id "${node.id}"`);
+      ids.add(node.id);
+      if (node.type !== 'main' && node.type !== 'sub') return fail(`${label} ("${node.id}"): type must be "main" or "sub"`);
+      if (node.count !== null && node.count !== undefined && !(Number.isFinite(node.count) && node.count >= 0)) {
+        return fail(`${label} ("${node.id}"): count must be a non-negative number`);
+      }
+      if (node.years !== null && node.years !== undefined && (
+        typeof node.years !== 'object' || Array.isArray(node.years)
+        || Object.entries(node.years).some(([year, n]) => !/^\d{4}$/.test(year) || !(Number.isFinite(n) && n >= 0))
+      )) {
+        return fail(`${label} ("${node.id}"): years must map years to non-negative numbers`);
+      }
+      if (node.type === 'sub' && !mains.has(node.parent)) {
+        return fail(`${label} ("${node.id}"): parent "${node.parent ?? ''}" is not a main node`);
+      }
+    }
+
+    let links = graph.links;
+    if (links === undefined) {
+      links = graph.nodes.filter((n) => n.type === 'sub').map((n) => ({ source: n.parent, target: n.id }));
+    } else if (!Array.isArray(links)) {
+      return fail('links must be an array');
+    } else {
+      const broken = links.findIndex((l) => !ids.has(l?.source) || !ids.has(l?.target));
+      if (broken >= 0) return fail(`Link ${broken + 1} points to a node that doesn't exist`);
+    }
+
+    graphs[code] = {
+      nodes: graph.nodes.map((n) => ({ ...n, count: n.count ?? null })),
+      links,
+    };
+  });
+
+  return { graphs, errors, errorCount };
+}
+
+/**
+ * Assemble validated files into the dashboard's data: rows get country
+ * names (the built-in name, else the uploaded one, else the code) and a
+ * summary is derived from the country-year rows.
+ *
+ * @param {Object} files
+ * @param {string} files.name - shown in the header
+ * @param {Array} files.countryYear - validated country-year rows
+ * @param {Array} files.subfield - validated subfield rows, or []
+ * @param {Object} files.nodeLink - validated node-link graphs, or {}
+ * @param {Map<string, string>} builtinNames - country code -> name
+ */
+export function buildDataset({ name, countryYear, subfield, nodeLink }, builtinNames) {
+  const names = new Map(builtinNames);
+  [...countryYear, ...subfield].forEach((d) => {
+    if (!names.has(d.country_code) && d.country) names.set(d.country_code, d.country);
+  });
+  const withName = (d) => ({ ...d, country: names.get(d.country_code) || d.country_code });
+
+  const totals = d3.rollup(countryYear, (rows) => d3.sum(rows, (d) => d.papers), (d) => d.country_code);
+  const summary = Array.from(totals, ([code, total]) => ({
+    country_code: code,
+    country: names.get(code) || code,
+    total_papers: total,
+  })).sort((a, b) => b.total_papers - a.total_papers);
+
+  return {
+    name,
+    countryYear: countryYear.map(withName),
+    subfield: subfield.map(withName),
+    nodeLink,
+    summary,
+    // Co-authorship comes from the built-in OpenAlex query and wouldn't
+    // match other data
+    collaborations: [],
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * Panel exports: CSV / JSON tables and SVG / PNG images
+ *
+ * Every export carries the active filters twice: in the file name
+ * (map_2018-2022_robotics_per-capita.svg) and in the file itself (CSV
+ * comment lines, a JSON `metadata` object, SVG <metadata>, PNG tEXt chunks).
+ */
+
+// Same families as the @import at the top of globals.css
+const FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&family=Inter:wght@300;400;500;600&display=swap';
+
+// Presentation properties copied from the live chart onto the export, so
+// CSS-driven styling survives outside the page
+const INLINED_STYLES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight',
+];
+
+const PNG_SCALE = 2;
+
+/**
+ * Describe the active filters: { period, subfield, mode, ... }.
+ * Empty values are dropped.
+ */
+export function exportMetadata(panel, filters) {
+  const metadata = { panel };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') metadata[key] = String(value);
+  });
+  metadata.source = 'OpenAlex';
+  metadata.exported = new Date().toISOString();
+  return metadata;
+}
+
+/**
+ * File name from the panel and filter values, e.g.
+ * map_2021_natural-language-processing_growth.csv
+ */
+export function exportFileName(metadata, extension) {
+  const { panel, source, exported, ...filters } = metadata;
+  const parts = [panel, ...Object.values(filters)]
+    .map((part) => part.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+    .filter(Boolean);
+  return `${parts.join('_')}.${extension}`;
+}
+
+/**
+ * CSV text with the metadata as leading `# key: value` comment lines
+ *
+ * @param {Array<Object>} rows
+ * @param {string[]} columns - keys of each row, in output order
+ * @param {Object} metadata
+ */
+export function toCSV(rows, columns, metadata) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = Object.entries(metadata).map(([key, value]) => `# ${key}: ${value}`);
+  lines.push(columns.join(','));
+  rows.forEach((row) => lines.push(columns.map((c) => escape(row[c])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Save a Blob under a file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadCSV(rows, columns, metadata) {
+  const csv = toCSV(rows, columns, metadata);
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), exportFileName(metadata, 'csv'));
+}
+
+export function downloadJSON(data, metadata) {
+  const json = JSON.stringify({ metadata, data }, null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), exportFileName(metadata, 'json'));
+}
+
+// Fetched once per page load; resolves to '' when offline
+let fontFacePromise = null;
+
+/**
+ * @font-face rules for the dashboard fonts with the font files inlined as
+ * data URLs (latin subset only, to keep exports small)
+ */
+function embeddedFontFaces() {
+  if (!fontFacePromise) {
+    fontFacePromise = (async () => {
+      const css = await (await fetch(FONT_CSS_URL)).text();
+      const latin = css.split(/(?=\/\*)/)
+        .filter((block) => /^\/\* latin \*\//.test(block))
+        .join('');
+
+      const urls = [...new Set(latin.match(/https:[^)]+/g) || [])];
+      const dataUrls = await Promise.all(urls.map(async (url) => {
+        const blob = await (await fetch(url)).blob();
+        return new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve([url, reader.result]);
+          reader.readAsDataURL(blob);
+        });
+      }));
+
+      return dataUrls.reduce((text, [url, data]) => text.split(url).join(data), latin);
+    })().catch(() => {
+      fontFacePromise = null;
+      return '';
+    });
+  }
+  return fontFacePromise;
+}
+
+/**
+ * Serialize a live chart <svg> into a standalone document: computed styles
+ * inlined, fonts embedded, background painted and metadata attached.
+ * Gradients and other <defs> are part of the chart and come along as is.
+ */
+export async function serializeSvg(svgElement, { metadata, background }) {
+  const clone = svgElement.cloneNode(true);
+  const { width, height } = svgElement.getBoundingClientRect();
+
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.removeAttribute('class');
+
+  const source = [svgElement, ...svgElement.querySelectorAll('*')];
+  const target = [clone, ...clone.querySelectorAll('*')];
+  source.forEach((element, i) => {
+    const computed = window.getComputedStyle(element);
+    INLINED_STYLES.forEach((property) => {
+      const value = computed.getPropertyValue(property);
+      if (value) target[i].style.setProperty(property, value);
+    });
+  });
+
+  const ns = 'http://www.w3.org/2000/svg';
+  const title = document.createElementNS(ns, 'title');
+  title.textContent = `AI research — ${metadata.panel}`;
+
+  const desc = document.createElementNS(ns, 'metadata');
+  desc.textContent = JSON.stringify(metadata);
+
+  const style = document.createElementNS(ns, 'style');
+  style.textContent = await embeddedFontFaces();
+
+  const backdrop = document.createElementNS(ns, 'rect');
+  backdrop.setAttribute('width', '100%');
+  backdrop.setAttribute('height', '100%');
+  backdrop.setAttribute('fill', background);
+
+  clone.prepend(title, desc, style, backdrop);
+
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width,
+    height,
+  };
+}
+
+export async function downloadSVG(svgElement, metadata, background) {
+  const { markup } = await serializeSvg(svgElement, { metadata, background });
+  downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), exportFileName(metadata, 'svg'));
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  bytes.forEach((b) => { crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8); });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Insert tEXt chunks (keyword/value pairs) right after a PNG's header
+ */
+async function addPngText(blob, entries) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const encoder = new TextEncoder();
+
+  const chunks = entries.map(([keyword, value]) => {
+    const type = encoder.encode('tEXt');
+    // tEXt is Latin-1: keyword, NUL separator, text
+    const data = encoder.encode(`${keyword}\0${String(value).replace(/[^\x20-\x7e]/g, '-')}`);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(type, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  });
+
+  // 8-byte signature + IHDR (4 length + 4 type + 13 data + 4 CRC)
+  const headerEnd = 8 + 25;
+  return new Blob(
+    [bytes.subarray(0, headerEnd), ...chunks, bytes.subarray(headerEnd)],
+    { type: 'image/png' }
+  );
+}
+
+export async function downloadPNG(svgElement, metadata, background) {
+  const { markup, width, height } = await serializeSvg(svgElement, { metadata, background });
+
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  await new Promise((resolve, reject) => {
+    image.onload = resolve;
+    image.onerror = reject;
+    image.src = url;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * PNG_SCALE);
+  canvas.height = Math.round(height * PNG_SCALE);
+  const context = canvas.getContext('2d');
+  context.scale(PNG_SCALE, PNG_SCALE);
+  context.drawImage(image, 0, 0, width, height);
+  URL.revokeObjectURL(url);
+
+  const png = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  const tagged = await addPngText(png, Object.entries(metadata));
+  downloadBlob(tagged, exportFileName(metadata, 'png'));
+}
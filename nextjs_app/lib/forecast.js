@@ -0,0 +1,173 @@
+/**
+ * Trend projection for the time series: model fits, 95% prediction
+ * intervals and a hold-out backtest
+ */
+
+/**
+ * Forecast models, in toggle order
+ */
+export const FORECAST_MODELS = ['linear', 'loglinear', 'holt'];
+
+export const FORECAST_MODEL_CONFIG = {
+  linear: {
+    label: 'Linear',
+    title: 'Straight-line trend fitted by least squares',
+  },
+  loglinear: {
+    label: 'Log-linear',
+    title: 'Constant growth rate: a straight line fitted to the log of the values',
+  },
+  holt: {
+    label: 'Holt',
+    title: "Holt's exponential smoothing: a level and trend that follow recent years more closely",
+  },
+};
+
+// Years projected past the last year of data
+export const FORECAST_HORIZON = 3;
+
+// Most recent complete years held out to score each model
+export const BACKTEST_YEARS = 3;
+
+// Fewest points a model is fitted to
+const MIN_POINTS = 4;
+
+// Two-sided 95% Student t quantiles for 1-10 degrees of freedom; larger
+// samples use an approximation that is within 0.01 of the exact value
+const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228];
+const tQuantile = (df) => (df <= T_95.length ? T_95[df - 1] : 1.96 + 2.4 / df);
+
+/**
+ * Least-squares line through points, with the standard error of a new
+ * observation at x
+ */
+function fitLine(points) {
+  const n = points.length;
+  const xMean = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const yMean = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach((p) => {
+    sxx += (p.x - xMean) ** 2;
+    sxy += (p.x - xMean) * (p.y - yMean);
+  });
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const sse = points.reduce((sum, p) => sum + (p.y - intercept - slope * p.x) ** 2, 0);
+  const s = Math.sqrt(sse / (n - 2));
+  const t = tQuantile(n - 2);
+
+  return (x) => {
+    const value = intercept + slope * x;
+    const margin = t * s * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx);
+    return { value, lower: value - margin, upper: value + margin };
+  };
+}
+
+/**
+ * Holt's linear method. The smoothing weights are the pair on a 0.1 grid
+ * with the smallest one-step-ahead squared error.
+ */
+function fitHolt(points) {
+  const ys = points.map((p) => p.y);
+  const run = (alpha, beta) => {
+    let level = ys[0];
+    let trend = ys[1] - ys[0];
+    let sse = 0;
+    for (let i = 1; i < ys.length; i += 1) {
+      const error = ys[i] - (level + trend);
+      sse += error ** 2;
+      const previous = level;
+      level = alpha * ys[i] + (1 - alpha) * (level + trend);
+      trend = beta * (level - previous) + (1 - beta) * trend;
+    }
+    return { alpha, beta, level, trend, sse };
+  };
+
+  let best = null;
+  for (let a = 1; a <= 9; a += 1) {
+    for (let b = 1; b <= 9; b += 1) {
+      const fit = run(a / 10, b / 10);
+      if (!best || fit.sse < best.sse) best = fit;
+    }
+  }
+
+  const { alpha, beta, level, trend, sse } = best;
+  const sigma = Math.sqrt(sse / (ys.length - 2));
+  const t = tQuantile(ys.length - 2);
+  const lastX = points[points.length - 1].x;
+
+  // Forecast variance grows with the horizon h as
+  // sigma^2 * (1 + sum_{j<h} alpha^2 (1 + j beta)^2)
+  return (x) => {
+    const h = x - lastX;
+    const value = level + h * trend;
+    let factor = 1;
+    for (let j = 1; j < h; j += 1) factor += (alpha * (1 + j * beta)) ** 2;
+    const margin = t * sigma * Math.sqrt(factor);
+    return { value, lower: value - margin, upper: value + margin };
+  };
+}
+
+/**
+ * Fit a model to points ({ x, y }) and return a predictor x -> { value,
+ * lower, upper }, or null when the points can't support it
+ */
+function fitModel(points, model) {
+  if (points.length < MIN_POINTS) return null;
+
+  if (model === 'loglinear') {
+    if (points.some((p) => p.y <= 0)) return null;
+    const predict = fitLine(points.map((p) => ({ x: p.x, y: Math.log(p.y) })));
+    return (x) => {
+      const { value, lower, upper } = predict(x);
+      return { value: Math.exp(value), lower: Math.exp(lower), upper: Math.exp(upper) };
+    };
+  }
+
+  return model === 'holt' ? fitHolt(points) : fitLine(points);
+}
+
+/**
+ * Project one series ahead.
+ *
+ * The model is fitted to every year with a value that isn't excluded
+ * (partial years), and projects each year after the last fitted one up
+ * to lastYear + FORECAST_HORIZON. The backtest refits without the last
+ * BACKTEST_YEARS fitted years and reports the mean absolute percentage
+ * error of its projections for them.
+ *
+ * @param {Array<{year: number, value: number|null}>} values
+ * @param {string} model - one of FORECAST_MODELS
+ * @param {Object} options
+ * @param {number} options.lastYear - last year of data
+ * @param {(year: number) => boolean} options.exclude - years left out of the fit
+ * @returns {{ points: Array<{year, value, lower, upper}>, mape: number|null } | null}
+ */
+export function forecastSeries(values, model, { lastYear, exclude = () => false }) {
+  const points = values
+    .filter((v) => v.value !== null && !exclude(v.year))
+    .map((v) => ({ x: v.year, y: v.value }));
+
+  const predict = fitModel(points, model);
+  if (!predict) return null;
+
+  const fitEnd = points[points.length - 1].x;
+  const projected = [];
+  for (let year = fitEnd + 1; year <= lastYear + FORECAST_HORIZON; year += 1) {
+    const { value, lower, upper } = predict(year);
+    // Paper counts and shares can't go below zero
+    projected.push({ year, value: Math.max(0, value), lower: Math.max(0, lower), upper: Math.max(0, upper) });
+  }
+
+  const training = points.slice(0, -BACKTEST_YEARS);
+  const heldOut = points.slice(-BACKTEST_YEARS).filter((p) => p.y !== 0);
+  const backtest = fitModel(training, model);
+  const mape = backtest && heldOut.length
+    ? (heldOut.reduce((sum, p) => sum + Math.abs(backtest(p.x).value - p.y) / Math.abs(p.y), 0) / heldOut.length) * 100
+    : null;
+
+  // Start the band at the last fitted point so it joins the line
+  const anchor = { year: fitEnd, value: points[points.length - 1].y, lower: points[points.length - 1].y, upper: points[points.length - 1].y };
+  return { points: [anchor, ...projected], mape };
+}
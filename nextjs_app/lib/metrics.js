@@ -0,0 +1,201 @@
+/**
+ * Derived metrics for any year span, subfield and set of countries:
+ * totals, share, CAGR, trend slope, volatility, peak year, rank and rank
+ * change. Computed from the per-year rows, so they follow the active
+ * filters rather than the fixed years of the summary file.
+ */
+
+import { MIN_YEAR, MAX_YEAR, isPartialYear } from './dataUtils';
+import { isGroupCode } from './countryGroups';
+
+/**
+ * Least-squares slope of papers against year (papers per year)
+ */
+function trendSlope(points) {
+  const n = points.length;
+  const xMean = points.reduce((sum, p) => sum + p.year, 0) / n;
+  const yMean = points.reduce((sum, p) => sum + p.papers, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach((p) => {
+    sxx += (p.year - xMean) ** 2;
+    sxy += (p.year - xMean) * (p.papers - yMean);
+  });
+  return sxy / sxx;
+}
+
+/**
+ * Standard deviation of the year-over-year log growth, as a fraction
+ * (0.1 = growth typically swings about 10% from year to year)
+ */
+function volatility(points) {
+  const rates = [];
+  for (let i = 1; i < points.length; i += 1) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (curr.year === prev.year + 1 && prev.papers > 0 && curr.papers > 0) {
+      rates.push(Math.log(curr.papers / prev.papers));
+    }
+  }
+  if (rates.length < 2) return null;
+  const mean = rates.reduce((sum, r) => sum + r, 0) / rates.length;
+  const variance = rates.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (rates.length - 1);
+  return Math.exp(Math.sqrt(variance)) - 1;
+}
+
+/**
+ * Rank (1 = most papers) of every country in one year
+ */
+function ranksIn(byCountry, year) {
+  const papers = [];
+  byCountry.forEach((series, code) => {
+    const row = series.get(year);
+    if (row) papers.push([code, row]);
+  });
+  papers.sort((a, b) => b[1] - a[1]);
+  return new Map(papers.map(([code], i) => [code, i + 1]));
+}
+
+/**
+ * Metrics per country for a year span.
+ *
+ * Partial years count towards the total, share and peak, but growth,
+ * slope and volatility use complete years only, so an incomplete final
+ * year doesn't read as a collapse. A single year compares with the year
+ * before it. Ranks and shares are among countries only; group rows (see
+ * aggregateGroupRows) get metrics of their own with no rank.
+ *
+ * @param {Array} rows - country-year rows, or country-year-subfield rows
+ * @param {Object} options
+ * @param {[number, number]} options.span - inclusive [start, end]
+ * @param {string|null} options.subfield - keep only this subfield's rows
+ * @param {Iterable<string>|null} options.countries - only return these codes
+ * @returns {Map<string, {
+ *   total, share, years, firstYear, lastYear, peakYear, peakPapers,
+ *   growthRatio, cagr, slope, volatility, rank, rankChange, rankFrom, partial
+ * }>}
+ */
+export function computeMetrics(rows, { span: [startYear, endYear], subfield = null, countries = null }) {
+  // Per-year papers by country, including the year before the span (for
+  // single-year growth and rank change)
+  const fromYear = startYear === endYear ? startYear - 1 : startYear;
+  const byCountry = new Map();
+  rows.forEach((d) => {
+    if (subfield && d.subfield !== subfield) return;
+    if (d.year < fromYear || d.year > endYear) return;
+    if (!byCountry.has(d.country_code)) byCountry.set(d.country_code, new Map());
+    const series = byCountry.get(d.country_code);
+    series.set(d.year, (series.get(d.year) || 0) + d.papers);
+  });
+
+  const countriesOnly = new Map([...byCountry].filter(([code]) => !isGroupCode(code)));
+  const totalIn = (series) => {
+    let total = 0;
+    series.forEach((papers, year) => {
+      if (year >= startYear) total += papers;
+    });
+    return total;
+  };
+
+  // Rank by papers over the span, and in the first and last years
+  const totals = Array.from(countriesOnly, ([code, series]) => [code, totalIn(series)])
+    .filter(([, total]) => total > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const rankBySpan = new Map(totals.map(([code], i) => [code, i + 1]));
+  const worldTotal = totals.reduce((sum, [, total]) => sum + total, 0);
+  const ranksFrom = ranksIn(countriesOnly, fromYear);
+  const ranksTo = ranksIn(countriesOnly, endYear);
+
+  const wanted = countries ? new Set(countries) : null;
+  const metrics = new Map();
+  byCountry.forEach((series, code) => {
+    if (wanted && !wanted.has(code)) return;
+
+    const points = Array.from(series, ([year, papers]) => ({ year, papers }))
+      .sort((a, b) => a.year - b.year);
+    const inSpan = points.filter((p) => p.year >= startYear && p.papers > 0);
+    const complete = points.filter((p) => !isPartialYear(p.year));
+    const peak = inSpan.reduce((best, p) => (!best || p.papers > best.papers ? p : best), null);
+
+    // Growth from the first year to the last complete one
+    const base = series.get(fromYear);
+    const last = complete[complete.length - 1];
+    const growthRatio = base > 0 && last && last.year > fromYear ? last.papers / base : null;
+    const cagr = growthRatio !== null ? growthRatio ** (1 / (last.year - fromYear)) - 1 : null;
+
+    const total = totalIn(series);
+    const rankFrom = ranksFrom.get(code) ?? null;
+    const rankTo = ranksTo.get(code) ?? null;
+
+    metrics.set(code, {
+      total,
+      share: isGroupCode(code) || !worldTotal ? null : total / worldTotal,
+      years: inSpan.length,
+      firstYear: inSpan[0]?.year ?? null,
+      lastYear: inSpan[inSpan.length - 1]?.year ?? null,
+      peakYear: peak?.year ?? null,
+      peakPapers: peak?.papers ?? null,
+      growthRatio,
+      cagr,
+      slope: complete.length >= 2 ? trendSlope(complete) : null,
+      volatility: volatility(complete),
+      rank: rankBySpan.get(code) ?? null,
+      // Positive when the country moved up between the first and last year
+      rankChange: rankFrom !== null && rankTo !== null ? rankFrom - rankTo : null,
+      rankFrom: fromYear,
+      partial: points.some((p) => p.year >= startYear && isPartialYear(p.year)),
+    });
+  });
+  return metrics;
+}
+
+/**
+ * The summary file's growth_ratio and recent_slope, recomputed from the
+ * country-year rows so they end at the last complete year even when the
+ * file was generated with a partial one. Same definitions as
+ * compute_growth in openalex_processor.py: (papers in the last complete
+ * year + 1) / (papers in MIN_YEAR + 1), and the trend slope over the five
+ * years up to the last complete one.
+ *
+ * @param {Array} rows - country-year rows
+ * @returns {Map<string, { growth_ratio: number, recent_slope: number }>}
+ */
+export function completeYearGrowth(rows) {
+  let lastComplete = MAX_YEAR;
+  while (isPartialYear(lastComplete)) lastComplete -= 1;
+  const recentYears = [4, 3, 2, 1, 0].map((back) => lastComplete - back);
+
+  const byCountry = new Map();
+  rows.forEach((d) => {
+    if (!byCountry.has(d.country_code)) byCountry.set(d.country_code, new Map());
+    const series = byCountry.get(d.country_code);
+    series.set(d.year, (series.get(d.year) || 0) + d.papers);
+  });
+
+  const growth = new Map();
+  byCountry.forEach((series, code) => {
+    growth.set(code, {
+      growth_ratio: ((series.get(lastComplete) || 0) + 1) / ((series.get(MIN_YEAR) || 0) + 1),
+      recent_slope: trendSlope(recentYears.map((year) => ({ year, papers: series.get(year) || 0 }))),
+    });
+  });
+  return growth;
+}
+
+/**
+ * Short labels for tooltips and chips
+ */
+export const formatMetric = {
+  papers: (v) => {
+    if (v >= 1000000) return `${+(v / 1000000).toFixed(1)}M`;
+    if (v >= 1000) return `${+(v / 1000).toFixed(1)}K`;
+    return String(Math.round(v));
+  },
+  percent: (v) => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}%`,
+  share: (v) => `${(v * 100).toFixed(v >= 0.01 ? 1 : 2)}%`,
+  slope: (v) => `${v >= 0 ? '+' : '−'}${formatMetric.papers(Math.abs(v))}/yr`,
+  rankChange: (v) => {
+    if (!v) return '–';
+    return v > 0 ? `▲${v}` : `▼${-v}`;
+  },
+};
@@ -0,0 +1,88 @@
+/**
+ * Time-series y-axis modes: value derivation, axis labels and formatting
+ */
+
+/**
+ * Y-axis modes, in toggle order
+ */
+export const SERIES_SCALES = ['linear', 'log', 'share', 'indexed'];
+
+export const DEFAULT_BASE_YEAR = 2010;
+
+const formatCount = (v) => {
+  if (v >= 1000000) return `${+(v / 1000000).toFixed(1)}M`;
+  if (v >= 1000) return `${+(v / 1000).toFixed(1)}K`;
+  return String(+v.toFixed(1));
+};
+
+export const SERIES_SCALE_CONFIG = {
+  linear: {
+    label: 'Linear',
+    title: 'Paper counts on a linear axis',
+    axisLabel: () => 'Papers',
+    tickFormat: formatCount,
+    format: (v) => Math.round(v).toLocaleString(),
+  },
+  log: {
+    label: 'Log',
+    title: 'Paper counts on a log axis, so small and large producers can be compared',
+    axisLabel: () => 'Papers (log)',
+    tickFormat: formatCount,
+    format: (v) => Math.round(v).toLocaleString(),
+  },
+  share: {
+    label: '% World',
+    title: "Each country's share of that year's world output",
+    axisLabel: () => '% of world papers',
+    tickFormat: (v) => `${+v.toFixed(2)}%`,
+    format: (v) => `${v.toFixed(v >= 1 ? 1 : 2)}%`,
+  },
+  indexed: {
+    label: 'Index',
+    title: 'Papers relative to the base year (base year = 100)',
+    axisLabel: (baseYear) => `Index (${baseYear} = 100)`,
+    tickFormat: (v) => Math.round(v).toLocaleString(),
+    format: (v) => (v >= 1000 ? Math.round(v).toLocaleString() : v.toFixed(1)),
+  },
+};
+
+/**
+ * Papers per year across all countries in the given rows
+ */
+export function sumPapersByYear(rows) {
+  const totals = new Map();
+  rows.forEach((d) => totals.set(d.year, (totals.get(d.year) || 0) + d.papers));
+  return totals;
+}
+
+/**
+ * Add the plotted `value` to one country's yearly points. Points that
+ * can't be shown in the mode (zero on a log axis, a year without a world
+ * total, any year when the base year has no papers) get null, which the
+ * chart draws as a gap.
+ *
+ * @param {Array<{year: number, papers: number}>} values - sorted by year
+ * @param {string} scale - one of SERIES_SCALES
+ * @param {Object} context
+ * @param {Map} context.worldTotals - year -> world papers
+ * @param {number} context.baseYear - base year for the indexed mode
+ */
+export function scaleSeriesValues(values, scale, { worldTotals, baseYear }) {
+  if (scale === 'share') {
+    return values.map((v) => {
+      const total = worldTotals.get(v.year);
+      return { ...v, value: total ? (v.papers / total) * 100 : null };
+    });
+  }
+
+  if (scale === 'indexed') {
+    const base = values.find((v) => v.year === baseYear)?.papers;
+    return values.map((v) => ({ ...v, value: base ? (v.papers / base) * 100 : null }));
+  }
+
+  if (scale === 'log') {
+    return values.map((v) => ({ ...v, value: v.papers > 0 ? v.papers : null }));
+  }
+
+  return values.map((v) => ({ ...v, value: v.papers }));
+}
@@ -0,0 +1,169 @@
+/**
+ * Theme system: the single source of colours for every view
+ *
+ * A theme (dark/light) sets the UI tokens; a palette (default or
+ * colour-vision-deficiency safe) sets the data colours for that theme.
+ * getTheme() merges the two into the flat object the components read,
+ * and applyThemeVariables() mirrors the UI tokens into the CSS variables
+ * behind the Tailwind `viz-*` colours.
+ */
+
+import * as d3 from 'd3';
+
+export const THEMES = {
+  dark: {
+    label: 'Dark',
+    ui: {
+      bg: '#0a0e1a',
+      surface: '#131928',
+      border: '#1e2a45',
+      text: '#e2e8f0',
+      subtle: '#94a3b8',
+      muted: '#64748b',
+      accent: '#22d3ee',
+      accentDim: '#0891b2',
+      highlight: '#f472b6',
+      warning: '#fbbf24',
+      success: '#4ade80',
+      tooltipBg: 'rgba(19, 25, 40, 0.95)',
+      shadow: 'rgba(0, 0, 0, 0.4)',
+    },
+  },
+  light: {
+    label: 'Light',
+    ui: {
+      bg: '#f8fafc',
+      surface: '#ffffff',
+      border: '#cbd5e1',
+      text: '#0f172a',
+      subtle: '#475569',
+      muted: '#64748b',
+      accent: '#0891b2',
+      accentDim: '#67e8f9',
+      highlight: '#db2777',
+      warning: '#d97706',
+      success: '#16a34a',
+      tooltipBg: 'rgba(255, 255, 255, 0.96)',
+      shadow: 'rgba(15, 23, 42, 0.15)',
+    },
+  },
+};
+
+export const PALETTES = {
+  default: {
+    label: 'Default',
+    dark: {
+      // Low values fade into the background
+      sequential: ['#0a0e1a', '#0c4a6e', '#0891b2', '#22d3ee', '#a5f3fc'],
+      diverging: d3.interpolateRdYlGn,
+      positive: '#4ade80',
+      negative: '#f87171',
+      series: ['#22d3ee', '#f472b6', '#4ade80', '#fbbf24', '#a78bfa', '#fb7185'],
+      fields: {
+        'Computer Vision': '#22d3ee',
+        'Natural Language Processing': '#f472b6',
+        'Robotics': '#4ade80',
+        'Theory': '#fbbf24',
+        'Reinforcement Learning': '#fbbf24',
+      },
+    },
+    light: {
+      sequential: ['#f8fafc', '#bae6fd', '#38bdf8', '#0284c7', '#0c4a6e'],
+      diverging: d3.interpolateRdYlGn,
+      positive: '#16a34a',
+      negative: '#dc2626',
+      series: ['#0891b2', '#db2777', '#16a34a', '#d97706', '#7c3aed', '#e11d48'],
+      fields: {
+        'Computer Vision': '#0891b2',
+        'Natural Language Processing': '#db2777',
+        'Robotics': '#16a34a',
+        'Theory': '#d97706',
+        'Reinforcement Learning': '#d97706',
+      },
+    },
+  },
+  // Okabe-Ito categorical colours, viridis and a red-blue diverging scale:
+  // all distinguishable with red-green colour blindness
+  cvd: {
+    label: 'Colour-blind safe',
+    dark: {
+      sequential: ['#0a0e1a', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+      diverging: d3.interpolateRdBu,
+      positive: '#56b4e9',
+      negative: '#e69f00',
+      series: ['#56b4e9', '#e69f00', '#009e73', '#f0e442', '#cc79a7', '#d55e00'],
+      fields: {
+        'Computer Vision': '#56b4e9',
+        'Natural Language Processing': '#e69f00',
+        'Robotics': '#009e73',
+        'Theory': '#cc79a7',
+        'Reinforcement Learning': '#cc79a7',
+      },
+    },
+    light: {
+      sequential: ['#f8fafc', '#fde725', '#5ec962', '#21918c', '#3b528b'],
+      diverging: d3.interpolateRdBu,
+      positive: '#0072b2',
+      negative: '#d55e00',
+      series: ['#0072b2', '#d55e00', '#009e73', '#cc79a7', '#e69f00', '#56b4e9'],
+      fields: {
+        'Computer Vision': '#0072b2',
+        'Natural Language Processing': '#d55e00',
+        'Robotics': '#009e73',
+        'Theory': '#cc79a7',
+        'Reinforcement Learning': '#cc79a7',
+      },
+    },
+  },
+};
+
+export const DEFAULT_THEME_ID = 'dark';
+export const DEFAULT_PALETTE_ID = 'default';
+
+/**
+ * Merge a theme's UI tokens with its palette's data colours
+ */
+export function getTheme(themeId = DEFAULT_THEME_ID, paletteId = DEFAULT_PALETTE_ID) {
+  const theme = THEMES[themeId] || THEMES[DEFAULT_THEME_ID];
+  const palette = PALETTES[paletteId] || PALETTES[DEFAULT_PALETTE_ID];
+  const resolvedThemeId = THEMES[themeId] ? themeId : DEFAULT_THEME_ID;
+
+  return {
+    id: resolvedThemeId,
+    paletteId: PALETTES[paletteId] ? paletteId : DEFAULT_PALETTE_ID,
+    ...theme.ui,
+    ...palette[resolvedThemeId],
+  };
+}
+
+/**
+ * Write the UI tokens to CSS variables (--viz-bg, --viz-accent-dim, ...)
+ */
+export function applyThemeVariables(theme, element = document.documentElement) {
+  Object.keys(THEMES[theme.id].ui).forEach((key) => {
+    const name = key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    element.style.setProperty(`--viz-${name}`, theme[key]);
+  });
+  element.style.colorScheme = theme.id;
+}
+
+/**
+ * Give each code a series colour slot that it keeps until it leaves the
+ * list. Codes already in `previous` (Map code -> slot) keep their slot;
+ * new codes take the lowest free one, wrapping if there are more codes
+ * than slots.
+ */
+export function assignSeriesSlots(codes, previous, slotCount) {
+  const slots = new Map();
+  codes.forEach((code) => {
+    if (previous.has(code)) slots.set(code, previous.get(code));
+  });
+  codes.forEach((code) => {
+    if (slots.has(code)) return;
+    const used = new Set(slots.values());
+    let slot = 0;
+    while (used.has(slot) && slot < slotCount) slot += 1;
+    slots.set(code, slot < slotCount ? slot : slots.size % slotCount);
+  });
+  return slots;
+}
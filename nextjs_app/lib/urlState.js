@@ -0,0 +1,167 @@
+/**
+ * Dashboard state <-> query string
+ *
+ * Query parameters:
+ * - year: selected year, e.g. 2021
+ * - range: brushed year range, e.g. 2018-2022
+ * - country: selected country or group code
+ * - compare: comma-separated country or group codes, e.g. IN,KR,@EU
+ * - groups: user-defined groups as name:members, e.g. Nordics:DK.FI.IS.NO.SE
+ * - subfield: selected subfield name
+ * - mode: map view mode
+ * - map: map type (symbols, dorling)
+ * - max: comparison limit, e.g. 3
+ *
+ * Values that fail validation fall back to their defaults, so any link
+ * (including hand-edited ones) produces a usable dashboard.
+ */
+
+import { MIN_YEAR, MAX_YEAR } from './dataUtils';
+import { VIEW_MODES, MAP_TYPES } from './viewModes';
+import { MAX_GROUP_NAME, BUILTIN_GROUP_CODES, groupCode, buildGroupIndex } from './countryGroups';
+
+// Comparison limit bounds; the upper bound gives every compared country
+// its own series colour
+export const MIN_COMPARED = 1;
+export const MAX_COMPARED = 6;
+
+export const DEFAULT_DASHBOARD_STATE = {
+  selectedYear: 2024,
+  yearRange: null,
+  selectedCountry: null,
+  comparedCountries: [],
+  selectedSubfield: null,
+  viewMode: 'absolute',
+  mapType: 'choropleth',
+  maxCompared: 5,
+  customGroups: [],
+};
+
+/**
+ * Parse a year within the dataset bounds, or return null
+ */
+function parseYear(value) {
+  if (!value || !/^\d{4}$/.test(value)) return null;
+  const year = parseInt(value, 10);
+  return year >= MIN_YEAR && year <= MAX_YEAR ? year : null;
+}
+
+/**
+ * Normalize a country or group code and check it against the known codes
+ */
+function parseCountry(value, countryCodes, groups = new Map()) {
+  if (!value) return null;
+  const code = value.trim().toUpperCase();
+  return countryCodes.has(code) || groups.has(code) ? code : null;
+}
+
+/**
+ * Parse user-defined groups. Names that would shadow a built-in group or
+ * repeat an earlier one are dropped, as are unknown member codes.
+ */
+function parseCustomGroups(value, countryCodes) {
+  const groups = [];
+  const seen = new Set(BUILTIN_GROUP_CODES);
+  (value || '').split(',').forEach((entry) => {
+    const [name = '', list = ''] = entry.split(':');
+    const trimmed = name.trim();
+    if (!/^[A-Za-z0-9][A-Za-z0-9 -]*$/.test(trimmed) || trimmed.length > MAX_GROUP_NAME) return;
+    const code = groupCode(trimmed);
+    const members = [...new Set(list.split('.').map((c) => parseCountry(c, countryCodes)).filter(Boolean))];
+    if (seen.has(code) || !members.length) return;
+    seen.add(code);
+    groups.push({ name: trimmed, members });
+  });
+  return groups;
+}
+
+/**
+ * Read dashboard state from URLSearchParams (or ReadonlyURLSearchParams)
+ *
+ * @param {URLSearchParams} searchParams
+ * @param {Object} options
+ * @param {Set<string>} options.countryCodes - valid country codes
+ * @param {Set<string>} options.subfields - valid subfield names
+ */
+export function parseDashboardParams(searchParams, { countryCodes, subfields }) {
+  const state = { ...DEFAULT_DASHBOARD_STATE };
+
+  const max = searchParams.get('max');
+  if (/^\d+$/.test(max || '')) {
+    state.maxCompared = Math.max(MIN_COMPARED, Math.min(MAX_COMPARED, parseInt(max, 10)));
+  }
+
+  const year = parseYear(searchParams.get('year'));
+  if (year !== null) state.selectedYear = year;
+
+  const range = (searchParams.get('range') || '').split('-');
+  if (range.length === 2) {
+    const start = parseYear(range[0]);
+    const end = parseYear(range[1]);
+    if (start !== null && end !== null && start < end) {
+      state.yearRange = [start, end];
+    }
+  }
+
+  state.customGroups = parseCustomGroups(searchParams.get('groups'), countryCodes);
+  const groups = buildGroupIndex(state.customGroups, countryCodes);
+
+  state.selectedCountry = parseCountry(searchParams.get('country'), countryCodes, groups);
+
+  const compared = (searchParams.get('compare') || '')
+    .split(',')
+    .map((c) => parseCountry(c, countryCodes, groups))
+    .filter(Boolean);
+  state.comparedCountries = [...new Set(compared)].slice(0, state.maxCompared);
+
+  const subfield = searchParams.get('subfield');
+  if (subfield && subfields.has(subfield)) state.selectedSubfield = subfield;
+
+  const mode = searchParams.get('mode');
+  if (VIEW_MODES.includes(mode)) state.viewMode = mode;
+
+  const mapType = searchParams.get('map');
+  if (MAP_TYPES.some((t) => t.id === mapType)) state.mapType = mapType;
+
+  return state;
+}
+
+/**
+ * Write dashboard state to a query string, omitting default values
+ */
+export function serializeDashboardParams(state) {
+  const params = new URLSearchParams();
+  const defaults = DEFAULT_DASHBOARD_STATE;
+
+  if (state.selectedYear !== defaults.selectedYear) {
+    params.set('year', String(state.selectedYear));
+  }
+  if (state.yearRange) {
+    params.set('range', `${state.yearRange[0]}-${state.yearRange[1]}`);
+  }
+  if (state.selectedCountry) {
+    params.set('country', state.selectedCountry);
+  }
+  if (state.comparedCountries.length) {
+    params.set('compare', state.comparedCountries.join(','));
+  }
+  if (state.selectedSubfield) {
+    params.set('subfield', state.selectedSubfield);
+  }
+  if (state.viewMode !== defaults.viewMode) {
+    params.set('mode', state.viewMode);
+  }
+  if (state.mapType !== defaults.mapType) {
+    params.set('map', state.mapType);
+  }
+  if (state.maxCompared !== defaults.maxCompared) {
+    params.set('max', String(state.maxCompared));
+  }
+  if (state.customGroups.length) {
+    params.set('groups', state.customGroups.map((g) => `${g.name}:${g.members.join('.')}`).join(','));
+  }
+
+  // Keep commas, colons and group prefixes readable in shared links
+  // (IN,KR,@EU rather than IN%2CKR%2C%40EU)
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':').replace(/%40/g, '@');
+}
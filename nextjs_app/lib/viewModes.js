@@ -0,0 +1,98 @@
+/**
+ * Map view modes: labels, value derivation and formatting
+ */
+
+/**
+ * View modes, in toggle order
+ */
+export const VIEW_MODES = ['absolute', 'growth', 'per-capita', 'per-gdp', 'share'];
+
+/**
+ * How the mapped values are drawn: filled shapes, circles at country
+ * centroids sized by papers, or a Dorling cartogram of those circles
+ */
+export const MAP_TYPES = [
+  { id: 'choropleth', label: 'Choropleth' },
+  { id: 'symbols', label: 'Symbols' },
+  { id: 'dorling', label: 'Cartogram' },
+];
+
+const formatRate = (v) => (v >= 100 ? Math.round(v).toLocaleString() : v.toFixed(v >= 10 ? 1 : 2));
+
+export const VIEW_MODE_CONFIG = {
+  absolute: {
+    label: 'Paper Count',
+    title: 'Paper Count',
+    statLabel: 'Papers',
+    format: (v) => Math.round(v).toLocaleString(),
+  },
+  growth: {
+    label: 'Growth Rate',
+    title: 'Growth',
+    statLabel: 'Growth',
+    format: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`,
+  },
+  'per-capita': {
+    label: 'Per Capita',
+    title: 'Papers per Million People',
+    statLabel: 'Per Million People',
+    format: formatRate,
+  },
+  'per-gdp': {
+    label: 'Per GDP',
+    title: 'Papers per $1B GDP',
+    statLabel: 'Per $1B GDP',
+    format: formatRate,
+  },
+  share: {
+    label: 'World Share',
+    title: 'Share of World Papers',
+    statLabel: 'World Share',
+    format: (v) => `${v.toFixed(v >= 1 ? 1 : 2)}%`,
+  },
+};
+
+/**
+ * Build a code -> value lookup from a reference table such as
+ * population.json or gdp.json
+ */
+export function buildReferenceMap(rows, field) {
+  const map = new Map();
+  rows.forEach((d) => {
+    if (d[field] > 0) map.set(d.country_code, d[field]);
+  });
+  return map;
+}
+
+/**
+ * Derive the value each country is coloured by in a view mode.
+ * Countries without the needed reference data are left out.
+ *
+ * @param {string} viewMode
+ * @param {Object} sources
+ * @param {Map} sources.papers - papers per country for the active period
+ * @param {Map} sources.growth - growth % per country
+ * @param {Map} sources.population - population per country
+ * @param {Map} sources.gdp - GDP (current USD) per country
+ */
+export function computeModeValues(viewMode, { papers, growth, population, gdp }) {
+  if (viewMode === 'growth') return growth;
+  if (viewMode === 'absolute') return papers;
+
+  const values = new Map();
+
+  if (viewMode === 'share') {
+    const worldTotal = Array.from(papers.values()).reduce((sum, v) => sum + v, 0);
+    if (worldTotal > 0) {
+      papers.forEach((v, code) => values.set(code, (v / worldTotal) * 100));
+    }
+    return values;
+  }
+
+  const [reference, unit] = viewMode === 'per-capita' ? [population, 1e6] : [gdp, 1e9];
+  papers.forEach((v, code) => {
+    const denominator = reference.get(code);
+    if (denominator) values.set(code, v / (denominator / unit));
+  });
+  return values;
+}
@@ -7,17 +7,18 @@ module.exports = {
     theme: {
       extend: {
         colors: {
-          // Deep space theme for data visualization
-          'viz-bg': '#0a0e1a',
-          'viz-surface': '#131928',
-          'viz-border': '#1e2a45',
-          'viz-text': '#e2e8f0',
-          'viz-muted': '#64748b',
-          'viz-accent': '#22d3ee',
-          'viz-accent-dim': '#0891b2',
-          'viz-highlight': '#f472b6',
-          'viz-warning': '#fbbf24',
-          'viz-success': '#4ade80',
+          // Backed by CSS variables so the theme can switch at runtime (see lib/theme.js)
+          'viz-bg': 'var(--viz-bg)',
+          'viz-surface': 'var(--viz-surface)',
+          'viz-border': 'var(--viz-border)',
+          'viz-text': 'var(--viz-text)',
+          'viz-subtle': 'var(--viz-subtle)',
+          'viz-muted': 'var(--viz-muted)',
+          'viz-accent': 'var(--viz-accent)',
+          'viz-accent-dim': 'var(--viz-accent-dim)',
+          'viz-highlight': 'var(--viz-highlight)',
+          'viz-warning': 'var(--viz-warning)',
+          'viz-success': 'var(--viz-success)',
         },
         fontFamily: {
           'display': ['Space Grotesk', 'system-ui', 'sans-serif'],